@@ -0,0 +1,133 @@
+/**
+ * @file 图片格式支持检测
+ *
+ * 通过{@link ImageLoader#load}解码极小的样例图片，检测浏览器对各图片格式特性的支持情况
+ * 检测只会执行一次，结果会被缓存
+ */
+
+import ImageLoader from './image-loader'
+
+// 各图片格式特性的样例图片
+const SAMPLE_IMAGES = {
+  'webp': 'data:image/webp;base64,UklGRiIAAABXRUJQVlA4IBYAAAAwAQCdASoBAAEADsD+JaQAA3AAAAAA',
+  'webp-lossless': 'data:image/webp;base64,UklGRhoAAABXRUJQVlA4TA0AAAAvAAAAEAcQERGIiP4HAA==',
+  'webp-alpha': 'data:image/webp;base64,UklGRkoAAABXRUJQVlA4WAoAAAAQAAAAAAAAAAAAQUxQSAwAAAARBxAR/Q9ERP8DAABWUDggGAAAABQBAJ0BKgEAAQAAAP4AAA3AAP7mtQAAAA==',
+  'webp-animation': 'data:image/webp;base64,UklGRlIAAABXRUJQVlA4WAoAAAASAAAAAAAAAAAAQU5JTQYAAAD/////AABBTk1GJgAAAAAAAAAAAAAAAAAAAGQAAABWUDhMDQAAAC8AAAAQBxAREYiI/gcA',
+  'avif': 'data:image/avif;base64,AAAAIGZ0eXBhdmlmAAAAAGF2aWZtaWYxbWlhZk1BMUIAAADybWV0YQAAAAAAAAAoaGRscgAAAAAAAAAAcGljdAAAAAAAAAAAAAAAAGxpYmF2aWYAAAAADnBpdG0AAAAAAAEAAAAeaWxvYwAAAABEAAABAAEAAAABAAABGgAAAB0AAAAoaWluZgAAAAAAAQAAABppbmZlAgAAAAABAABhdjAxQ29sb3IAAAAAamlwcnAAAABLaXBjbwAAABRpc3BlAAAAAAAAAAIAAAACAAAAEHBpeGkAAAAAAwgICAAAAAxhdjFDgQ0MAAAAABNjb2xybmNseAACAAIAAYAAAAAXaXBtYQAAAAAAAAABAAEEAQKDBAAAACVtZGF0EgAKCBgANogQEAwgMg8f8D///8WfhwB8+ErK42A=',
+}
+
+// 输出格式所依赖的特性，需全部支持才可使用该格式
+// [注] webp需同时支持透明通道，避免带透明通道的png图片转换后背景变黑
+const FORMAT_FEATURES = {
+  webp: ['webp', 'webp-alpha'],
+  avif: ['avif'],
+}
+
+// 默认的输出格式优先级
+const DEFAULT_PREFERRED_FORMATS = ['avif', 'webp']
+
+// 检测结果缓存
+let supportedFeatures
+
+// 检测中的Promise，避免重复检测
+let detecting
+
+// 私有方法
+const _actions = {
+  /**
+   * 检测单个特性是否支持
+   *
+   * @since 1.3.0
+   *
+   * @async
+   *
+   * @param {string} feature - 特性名称
+   *
+   * @returns {Promise} - 始终resolve，值为是否支持
+   */
+  detectFeature(feature) {
+    // 样例图片不记录到已下载图片缓存和性能指标中
+    const imageLoader = new ImageLoader({
+      name: 'FormatDetector',
+      useCache: false,
+      useMetrics: false,
+    })
+
+    return imageLoader.load(SAMPLE_IMAGES[feature]).then(() => {
+      return imageLoader.$naturalWidth > 0 && imageLoader.$naturalHeight > 0
+    }).catch(() => {
+      return false
+    })
+  },
+}
+
+/**
+ * 检测浏览器对各图片格式特性的支持情况
+ * 检测的特性有：webp、webp-lossless、webp-alpha、webp-animation、avif
+ *
+ * @ignore
+ *
+ * @async
+ *
+ * @returns {Promise} - resolve的值为`{ [feature]: boolean }`格式的检测结果
+ */
+export function detectFormats() {
+  if (supportedFeatures) {
+    return Promise.resolve(supportedFeatures)
+  }
+
+  if (detecting) {
+    return detecting
+  }
+
+  const features = Object.keys(SAMPLE_IMAGES)
+
+  detecting = Promise.all(features.map(_actions.detectFeature)).then((results) => {
+    supportedFeatures = {}
+
+    features.forEach((feature, index) => {
+      supportedFeatures[feature] = results[index]
+    })
+
+    return supportedFeatures
+  })
+
+  return detecting
+}
+
+/**
+ * 同步获取已缓存的检测结果
+ *
+ * @ignore
+ *
+ * @returns {object|undefined} - 还未检测完成时返回undefined
+ */
+export function getSupportedFormats() {
+  return supportedFeatures
+}
+
+/**
+ * 按优先级获取浏览器支持的最佳输出格式
+ * [注] 请确保在{@link detectFormats}检测完成后调用
+ *
+ * @ignore
+ *
+ * @param {string[]} [preferredFormats=['avif', 'webp']] - 输出格式的优先级列表
+ *
+ * @returns {string} - 均不支持或还未检测完成时返回空字符串，表示保持原格式
+ */
+export function getBestFormat(preferredFormats = DEFAULT_PREFERRED_FORMATS) {
+  if (!supportedFeatures) {
+    return ''
+  }
+
+  const bestFormat = preferredFormats.find((format) => {
+    const features = FORMAT_FEATURES[format] || [format]
+
+    return features.every((feature) => {
+      return supportedFeatures[feature]
+    })
+  })
+
+  return bestFormat || ''
+}
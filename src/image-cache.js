@@ -0,0 +1,300 @@
+/**
+ * @file 已下载图片缓存
+ */
+
+// 私有方法
+const _actions = {
+  /**
+   * 超出最大容量时，淘汰最久未使用的条目
+   *
+   * @since 1.3.0
+   *
+   * @param {ImageCache} self - 实例自身
+   */
+  evict(self) {
+    while (self._entries.size > self.$maxSize) {
+      // Map按插入顺序遍历，第一个即为最久未使用的条目
+      const oldestSrc = self._entries.keys().next().value
+
+      self._entries.delete(oldestSrc)
+      self._evictions++
+    }
+  },
+  /**
+   * 将条目移到最近使用的位置
+   *
+   * @since 1.3.0
+   *
+   * @param {ImageCache} self - 实例自身
+   * @param {object} entry - 缓存条目
+   */
+  touch(self, entry) {
+    self._entries.delete(entry.src)
+
+    entry.lastUsed = Date.now()
+
+    self._entries.set(entry.src, entry)
+  },
+}
+
+/**
+ * @classdesc 已下载图片缓存，记录已成功下载过的图片及其元数据，超出最大容量时按最近最少使用（LRU）淘汰
+ * [注] 缓存的只是图片元数据，图片资源本身由浏览器缓存
+ *
+ * @class
+ */
+class ImageCache {
+  /**
+   * 默认配置选项
+   *
+   * @since 1.3.0
+   *
+   * @static
+   * @readonly
+   * @memberOf ImageCache
+   *
+   * @type {object}
+   * @property {number} maxSize=500 - 最大缓存条目数，设置为Infinity时不限制
+   */
+  static options = {
+    maxSize: 500,
+  }
+
+  /**
+   * 构造函数
+   *
+   * @see ImageCache.options
+   *
+   * @param {object} [options] - 配置选项见{@link ImageCache.options}
+   */
+  constructor(options) {
+    this.$options = {
+      ...ImageCache.options,
+      ...options
+    }
+  }
+
+  /**
+   * 缓存条目集合
+   *
+   * @since 1.3.0
+   *
+   * @private
+   */
+  _entries = new Map()
+
+  /**
+   * 命中次数
+   *
+   * @since 1.3.0
+   *
+   * @private
+   */
+  _hits = 0
+
+  /**
+   * 未命中次数
+   *
+   * @since 1.3.0
+   *
+   * @private
+   */
+  _misses = 0
+
+  /**
+   * 淘汰次数
+   *
+   * @since 1.3.0
+   *
+   * @private
+   */
+  _evictions = 0
+
+  /**
+   * 实例初始配置项
+   *
+   * @since 1.3.0
+   *
+   * @readonly
+   *
+   * @type {object}
+   */
+  $options = undefined
+
+  /**
+   * 获取最大缓存条目数
+   *
+   * @since 1.3.0
+   *
+   * @getter
+   *
+   * @type {number}
+   */
+  get $maxSize() {
+    return this.$options.maxSize
+  }
+
+  /**
+   * 获取当前缓存条目数
+   *
+   * @since 1.3.0
+   *
+   * @getter
+   *
+   * @type {number}
+   */
+  get $size() {
+    return this._entries.size
+  }
+
+  /**
+   * 更新配置选项
+   *
+   * @since 1.3.0
+   *
+   * @param {object} options - 配置选项见{@link ImageCache.options}
+   *
+   * @returns {ImageCache}
+   */
+  config(options) {
+    this.$options = {
+      ...this.$options,
+      ...options
+    }
+
+    // 最大容量可能被调小
+    _actions.evict(this)
+
+    return this
+  }
+
+  /**
+   * 判断图片是否已缓存
+   * [注] 不影响命中统计及淘汰顺序
+   *
+   * @since 1.3.0
+   *
+   * @param {string} src - 图片地址
+   *
+   * @returns {boolean}
+   */
+  has(src) {
+    return this._entries.has(src)
+  }
+
+  /**
+   * 获取图片的缓存条目
+   * [注] 不影响命中统计及淘汰顺序
+   *
+   * @since 1.3.0
+   *
+   * @param {string} src - 图片地址
+   *
+   * @returns {object|undefined}
+   */
+  peek(src) {
+    return this._entries.get(src)
+  }
+
+  /**
+   * 获取图片的缓存条目，并标记为最近使用
+   *
+   * @since 1.3.0
+   *
+   * @param {string} src - 图片地址
+   *
+   * @returns {object|undefined} - 返回`{ src, naturalWidth, naturalHeight, mime, bytes, color, lastUsed }`格式的条目，mime、bytes和color可能为undefined
+   */
+  get(src) {
+    const entry = this._entries.get(src)
+
+    if (!entry) {
+      this._misses++
+      return
+    }
+
+    this._hits++
+    _actions.touch(this, entry)
+
+    return entry
+  }
+
+  /**
+   * 设置图片的缓存条目，已存在时合并元数据，并标记为最近使用
+   *
+   * @since 1.3.0
+   *
+   * @param {string} src - 图片地址
+   * @param {object} [meta={}] - 元数据
+   * @param {number} [meta.naturalWidth] - 图片真实宽度
+   * @param {number} [meta.naturalHeight] - 图片真实高度
+   * @param {string} [meta.mime] - 图片mime类型
+   * @param {number} [meta.bytes] - 图片容量大小，单位：字节
+   * @param {string} [meta.color] - 图片主色，如`#336699`
+   *
+   * @returns {object} - 返回缓存条目
+   */
+  set(src, meta = {}) {
+    const entry = {
+      ...this._entries.get(src),
+      ...meta,
+      src,
+    }
+
+    _actions.touch(this, entry)
+    _actions.evict(this)
+
+    return entry
+  }
+
+  /**
+   * 删除图片的缓存条目
+   *
+   * @since 1.3.0
+   *
+   * @param {string} src - 图片地址
+   *
+   * @returns {boolean} - 条目不存在时返回false
+   */
+  delete(src) {
+    return this._entries.delete(src)
+  }
+
+  /**
+   * 清空缓存及统计数据
+   *
+   * @since 1.3.0
+   */
+  clear() {
+    this._entries.clear()
+    this._hits = 0
+    this._misses = 0
+    this._evictions = 0
+  }
+
+  /**
+   * 获取缓存的统计数据
+   *
+   * @since 1.3.0
+   *
+   * @returns {object} - 返回`{ size, maxSize, bytes, hits, misses, evictions }`格式，bytes为已知容量的条目的容量总和
+   */
+  stats() {
+    let bytes = 0
+
+    this._entries.forEach((entry) => {
+      bytes += entry.bytes || 0
+    })
+
+    return {
+      size: this._entries.size,
+      maxSize: this.$maxSize,
+      bytes,
+      hits: this._hits,
+      misses: this._misses,
+      evictions: this._evictions,
+    }
+  }
+}
+
+export default ImageCache
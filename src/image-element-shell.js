@@ -6,11 +6,32 @@ import validation from '@~lisfan/validation'
 import Logger from '@~lisfan/logger'
 import ImageLoader from './image-loader'
 
-import { addAnimationEnd, removeAnimationEnd } from './utils/animation-handler'
+import { onceAnimationEnd, getAnimationTimeout } from './utils/animation-handler'
+import { observeViewport } from './utils/viewport-observer'
+import { parseSrcset, pickCandidate } from './utils/srcset'
+import { toPriorityValue } from './load-scheduler'
 
 // 透明图片base64
 const TRANSPARENT_PLACEHOLDER_IMAGE = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAACXBIWXMAAAsTAAALEwEAmpwYAAAAGXRFWHRTb2Z0d2FyZQBBZG9iZSBJbWFnZVJlYWR5ccllPAAAABBJREFUeNpi/P//PwNAgAEACQEC/2m8kPAAAAAASUVORK5CYII='
 
+// dataURL格式匹配正则表达式
+const BASE64_REG = /^data:/
+
+// 元素在视口内时提升的优先级，小于优先级等级之间的差值，不会超过更高一级的优先级
+const VIEWPORT_PRIORITY_BOOST = 0.5
+
+// 元素尺寸变化时重新挑选srcset图片的防抖时间
+const RESIZE_DEBOUNCE_DELAY = 200
+
+// 由地址转换器生成预览图时的宽度，单位：px
+const PREVIEW_WIDTH = 32
+
+// 预览图的模糊半径
+const PREVIEW_BLUR = '20px'
+
+// 实例会改动的元素内联样式，销毁时还原
+const ORIGIN_STYLE_PROPS = ['width', 'height', 'backgroundImage', 'position', 'zIndex']
+
 // 私有方法
 const _actions = {
   /**
@@ -152,6 +173,19 @@ const _actions = {
   setClassName(self, classname) {
     self.$el.setAttribute('class', [...self._originClassNameList, classname].join(' ').trim())
   },
+  /**
+   * 还原元素原本的内联样式
+   *
+   * @since 1.3.0
+   *
+   * @param {ImageElementShell} self - 实例自身
+   * @param {string[]} props - 样式属性名，如backgroundImage
+   */
+  restoreStyles(self, props) {
+    props.forEach((prop) => {
+      self.$el.style[prop] = self._originStyles[prop]
+    })
+  },
   /**
    * 创建存在占位图片时的包裹节点
    *
@@ -160,6 +194,11 @@ const _actions = {
    * @param {ImageElementShell} self - 实例自身
    */
   createContainerDom(self) {
+    // 目标节点已脱离文档或实例已销毁或已存在包裹节点时，不再创建
+    if (!self.$el.parentElement || self._destroyed || self._parentNode) {
+      return
+    }
+
     // 优先触发节点的占位节点（避免dom增删而查找不到对应的节点）
     self._placeholderNode = document.createElement('span')
 
@@ -170,17 +209,50 @@ const _actions = {
     const bgContent = document.createElement('div')
 
     self._parentNode = container
+    self._backgroundNode = bgContent
 
     // 设置container的样式
     _actions.setElementStyles(container, _actions.dumpComputedStyles(self.$el))
 
+    // 隐藏预览图模糊后溢出的边缘
     let otherStyle = container.style.getPropertyValue('display') === 'inline'
-      ? '; position:relative; display:inline-block'
-      : '; position:relative'
+      ? '; position:relative; display:inline-block; overflow:hidden'
+      : '; position:relative; overflow:hidden'
 
     container.setAttribute('style', container.style.cssText + otherStyle)
 
-    bgContent.style = `
+    _actions.setContainerBackground(self)
+
+    container.appendChild(self.$el)
+    container.appendChild(bgContent)
+    fragment.appendChild(container)
+
+    _actions.insertAfter(fragment, self._placeholderNode)
+
+    self.$el.setAttribute('style', self.$el.style.cssText + '; position:relative; z-index:1')
+  },
+  /**
+   * 设置包裹节点的背景图片：已显示预览图时，为铺满并模糊处理的预览图；否则为载入中占位图片
+   *
+   * @since 1.3.0
+   *
+   * @param {ImageElementShell} self - 实例自身
+   */
+  setContainerBackground(self) {
+    const previewStyle = self._previewShown
+      ? `
+      background-size:cover;
+      background-position:center;
+      filter:blur(${PREVIEW_BLUR});
+      transform:scale(1.1);
+      background-image: url("${self._previewSrc}");
+    `
+      : `
+      background-size:contain;
+      background-image: url(${self.$loadingPlaceholder || TRANSPARENT_PLACEHOLDER_IMAGE});
+    `
+
+    self._backgroundNode.style = `
       position:absolute;
       top:0;
       bottom:0;
@@ -188,18 +260,9 @@ const _actions = {
       right:0;
       width:100%;
       height:100%;
-      background-size:contain;
       background-repeat: no-repeat;
-      background-image: url(${self.$loadingPlaceholder || TRANSPARENT_PLACEHOLDER_IMAGE});
+      ${previewStyle}
     `
-
-    container.appendChild(self.$el)
-    container.appendChild(bgContent)
-    fragment.appendChild(container)
-
-    _actions.insertAfter(fragment, self._placeholderNode)
-
-    self.$el.setAttribute('style', self.$el.style.cssText + '; position:relative; z-index:1')
   },
   /**
    * 载入中占位图片处理完成之后，移除容器节点
@@ -207,316 +270,1373 @@ const _actions = {
    * @since 1.2.0
    *
    * @param {ImageElementShell} self - 实例自身
+   * @param {boolean} [force=false] - 是否忽略动效状态强制移除
    *
    * @returns {undefined}
    */
-  removeContainerDom(self) {
+  removeContainerDom(self, force = false) {
     // 如果还存在容器，则进行移除
-    if (!self._parentNode || !self._placeholderNode || self._animationing) {
+    if (!self._parentNode || !self._placeholderNode || (self._animationing && !force)) {
       return
     }
 
-    // 进行移除
-    _actions.insertAfter(self.$el, self._parentNode)
+    // 目标节点仍在容器内时，还原到原位置（节点可能已被vue从容器中移除）
+    if (self.$el.parentElement === self._parentNode && self._parentNode.parentElement) {
+      _actions.insertAfter(self.$el, self._parentNode)
+    }
 
-    self._parentNode.parentElement.removeChild(self._parentNode)
-    self._placeholderNode.parentElement.removeChild(self._placeholderNode)
+    self._parentNode.parentElement && self._parentNode.parentElement.removeChild(self._parentNode)
+    self._placeholderNode.parentElement && self._placeholderNode.parentElement.removeChild(self._placeholderNode)
 
     self._parentNode = null
     self._placeholderNode = null
+    self._backgroundNode = null
+    self._previewShown = false
   },
   /**
-   * 设置目标元素的动效结束事件
+   * 延迟设置载入中占位图片的包裹容器
+   * 如果未指定src属性的值，且设置了载入中占位图片时，才设置包裹容器
    *
-   * @since 1.2.0
+   * @since 1.3.0
    *
    * @param {ImageElementShell} self - 实例自身
    *
    * @returns {undefined}
    */
-  setAnimationEndHandler(self) {
-    // 若启用了动效且存在动效样式时
-    if (!self.$animate || !self.$animationClassName) {
+  startLoadingDelay(self) {
+    if (!validation.isEmpty(self.$originSrc) || validation.isEmpty(self.$loadingPlaceholder)) {
       return
     }
 
-    removeAnimationEnd(self.$el, animationEndHandler)
-
-    // 为dom元素绑定动画结束事件
-    // 若已绑定则不再重复绑定
-    const animationEndHandler = function () {
-      // 标记动画已结束
-      self._animationing = false
-      self._loaded = true
-
-      _actions.setClassName(self, self.$animationClassName + '-enter-end')
-
-      // 动画结束后移除绑定事件
-      removeAnimationEnd(self.$el, animationEndHandler)
-
-      // 移除包裹dom
-      _actions.removeContainerDom(self)
-    }
-
-    // 为节点绑定动画结束事件
-    addAnimationEnd(self.$el, animationEndHandler)
+    self._loadingTimeouter = setTimeout(() => {
+      _actions.createContainerDom(self)
+    }, self.$loadingDelay)
   },
-
   /**
-   * 图片请求成功事件
+   * 判断是否直接请求占位图片（如指令未设置图片地址时），此时不视为请求真实图片
    *
-   * @since 1.1.0
+   * @since 1.3.0
    *
    * @param {ImageElementShell} self - 实例自身
+   *
+   * @returns {boolean}
    */
-  successHandler(self) {
-    return function () {
-      clearTimeout(self._loadingTimeouter)
-
-      // 移除包裹dom
-      _actions.removeContainerDom(self)
-
-      // 设置图片地址
-      _actions.setImageSrc(self.$el, self.$currentSrc)
-
-      self._logger.log('image load successed:', self.$currentSrc)
-    }
+  isPlaceholderLoad(self) {
+    return self.$src === self.$placeholder
   },
   /**
-   * 图片请求失败事件
+   * 判断请求令牌是否仍是最新的，只有最新的请求才能更新dom、执行动效
    *
-   * @since 1.1.0
+   * @since 1.3.0
    *
    * @param {ImageElementShell} self - 实例自身
+   * @param {object} token - 请求令牌，每次调用{@link ImageElementShell#load}时生成
+   *
+   * @returns {boolean}
    */
-  failHandler(self) {
-    return function () {
-      clearTimeout(self._loadingTimeouter)
-
-      // 移除包裹dom
-      _actions.removeContainerDom(self)
-
-      self._logger.log('image load faild:', self.$currentSrc)
-
-      // 如果是二次加载图片且又失败
-      // 则使用透明图片代替
-      self._currentSrc = self.$currentSrc === self.$placeholder
-        ? TRANSPARENT_PLACEHOLDER_IMAGE
-        : self.$placeholder
-
-      self._imageLoader.load(self.$currentSrc)
-    }
+  isCurrent(self, token) {
+    return !self._destroyed && token === self._loadToken
   },
-
   /**
-   * 开始进行动效
+   * 解析出预览图地址
+   * 设置为'auto'时，由地址转换器生成极小尺寸的缩略图地址，未设置地址转换器时不使用预览图
    *
-   * @since 1.2.0
+   * @since 1.3.0
    *
    * @param {ImageElementShell} self - 实例自身
    *
-   * @returns {undefined}
+   * @returns {string} - 不使用预览图时返回空字符串
    */
-  startAnimationing(self) {
-    // 当前图片地址非实际图片地址时，不进行动效载入
-    if (self.$currentSrc !== self.$actualSrc) {
-      return
-    }
+  resolvePreview(self) {
+    const preview = self.$preview
 
-    // 图片未加载完毕，且开启了动效，且存在动效名称时，才进行动画
-    if (self._canAnimate || !self.$animate || !self.$animationClassName) {
-      return
+    if (preview !== 'auto') {
+      return preview || ''
     }
 
-    // 图片请求成功时非真实图片则不进行动画加载，直接替换
-    // 性能优化：图片延迟加载，不要在同一时间内同时加载
-    requestAnimationFrame(() => {
-      self._animationing = true
+    if (!self.$transformer || !self.$src || BASE64_REG.test(self.$src)) {
+      return ''
+    }
 
-      // 替换为起始样式
-      _actions.setClassName(self, self.$animationClassName + '-enter')
+    // 按目标尺寸的宽高比缩小
+    const { width, height } = _actions.getTargetSize(self)
 
-      requestAnimationFrame(() => {
-        // 替换为动效激活样式
-        _actions.setClassName(self, self.$animationClassName + '-enter-active')
-      })
+    const previewSrc = self.$transformer({
+      src: self.$src,
+      width: PREVIEW_WIDTH,
+      height: width && height ? Math.round(height * PREVIEW_WIDTH / width) : undefined,
+      dpr: 1,
+      format: self.$format,
     })
-  }
-}
 
-/**
- * @classdesc DOM元素数据和操作封装类
- *
- * @class
- */
-class ImageElementShell {
+    // 地址转换器未处理时，预览图与原图相同，没有意义
+    return previewSrc && previewSrc !== self.$src ? previewSrc : ''
+  },
   /**
-   * 默认配置选项
+   * 请求预览图，在真实图片载入完成前以模糊效果铺满元素显示
+   * 预览图使用独立的ImageLoader实例请求，不影响实例的当前图片地址和是否已加载过的判断，也不会记录到已下载图片缓存中
+   * [注] 真实图片已下载过或与预览图相同时，不请求预览图
    *
-   * @since 1.0.0
-   *
-   * @static
-   * @readonly
-   * @memberOf ImageElementShell
+   * @since 1.3.0
    *
-   * @type {object}
-   * @property {string} name='directive-image-loader' - 日志打印器命名空间
-   * @property {boolean} debug=false - 打印器调试模式是否开启
-   * @property {object} placeholders={} - 全局配置占位图片，key名会转换为修饰符
-   * @property {string} loadingPlaceholder='' - 全局配置图片载入中占位图片
-   * @property {number} loadingDelay=300 - 载入中占位图片的延迟加载时间，避免出现载入中图片瞬间切换为真实图片的闪烁问题
-   * @property {number} animationClassName='' - 动效的样式类
-   * @property {boolean} animate=true - 是否启用动效载入，全局性动效开关，比如为了部分机型，可能会关闭动效的展示
-   * @property {boolean} force=false - 是否强制开启每次指令绑定或更新进行动效展示。若关闭，则图片只在初次加载成功进行特效载入，之后不进行特效加载
+   * @param {ImageElementShell} self - 实例自身
+   * @param {object} token - 请求令牌
    */
-  static options = {
-    name: 'ImageElementShell',
-    debug: false,
-    placeholder: {},
-    loadingPlaceholder: '',
-    loadingDelay: 300,
-    animationClassName: '',
-    animate: true,
-    force: false,
-  }
+  loadPreview(self, token) {
+    const previewSrc = _actions.resolvePreview(self)
 
-  /**
-   * 构造函数
-   *
-   * @see ImageElementShell.options
-   *
-   * @param {object} options - 其他配置选项见{@link ImageElementShell.options}
-   * @param {Element} options.el - 绑定的dom节点
-   * @param {string} [options.width] - 宽度值，带单位
-   * @param {string} [options.height] - 高度值，带单位
-   * @param {string} [options.originSrc] - 原节点图片地址
-   * @param {string} [options.originClassName] - 原节点样式名
-   */
-  constructor(options) {
-    this.$options = {
-      ...ImageElementShell.options,
-      ...options
+    if (!previewSrc || previewSrc === self.$actualSrc || ImageLoader.cache.has(self.$actualSrc)) {
+      self._previewSrc = null
+      return
     }
 
-    this._logger = new Logger({
-      name: this.$options.name,
-      debug: this.$options.debug
-    })
-
-    // 1. 判断是否正在请求**占位图片**的步骤，若请求占位图片也失败，则使用**透明图片**代替占位
-    // 2. 如果动态图片地址和占位图片地址相同，则直接认为是在请求占位图片的步骤
-    this._imageLoader = new ImageLoader({
-      name: this.$options.name,
-      debug: this.$options.debug
-    })
-
-    this._imageLoader.on('load', _actions.successHandler(this))
-    this._imageLoader.on('error', _actions.failHandler(this))
+    self._previewSrc = previewSrc
 
-    // 优先使用透明图片占位，避免出现'叉'或'边框线'
-    _actions.setImageSrc(this.$el, TRANSPARENT_PLACEHOLDER_IMAGE)
-
-    // 源样式列表
-    this._originClassNameList = this.$options.originClassName.split(' ')
+    if (!self._previewLoader) {
+      // 预览图不记录到已下载图片缓存中，避免淘汰真实图片的缓存条目及影响命中统计
+      self._previewLoader = new ImageLoader({
+        name: self.$options.name,
+        debug: self.$options.debug,
+        priority: 'high',
+        useCache: false,
+      })
+    }
 
-    // 设置目标元素的高宽
-    _actions.setClientSize(this)
+    self._previewLoader.load(previewSrc).then(() => {
+      // 实例已销毁、真实图片已载入或已请求其他图片时，不再显示
+      if (!_actions.isCurrent(self, token) || self._previewSrc !== previewSrc) {
+        return
+      }
 
-    // 绑定目标元素的动效结束事件
-    _actions.setAnimationEndHandler(this)
+      self._logger.log('preview image loaded:', previewSrc)
 
-    // 判断dom元素标签名，若为img标签元素，则设置透明图片占位，否则设置为该元素的背景
-    // 如果未指定src属性的值，且设置了载入中占位图片时，设置占位图片包裹容器
-    if (validation.isEmpty(this.$originSrc) && !validation.isEmpty(this.$loadingPlaceholder)) {
-      this._loadingTimeouter = setTimeout(() => {
-        _actions.createContainerDom(this)
-      }, this.$loadingDelay)
-    }
+      // 预览图代替载入中占位图片
+      clearTimeout(self._loadingTimeouter)
 
-    // 绑定实例到dom节点上
-    this.$el._shell = this
-  }
+      self._previewShown = true
 
+      self._parentNode
+        ? _actions.setContainerBackground(self)
+        : _actions.createContainerDom(self)
+    }).catch(() => {
+      // 预览图请求失败时，不影响真实图片的显示
+    })
+  },
   /**
-   * ImageLoader实例
+   * 等待目标元素进入视口
+   * 多次调用时返回同一个Promise，元素进入视口后停止观察
    *
-   * @since 1.2.2
+   * @since 1.3.0
    *
-   * @private
-   */
-  _imageLoader = undefined
-
-  /**
-   * Logger实例
+   * @async
    *
-   * @since 1.2.2
+   * @param {ImageElementShell} self - 实例自身
    *
-   * @private
+   * @returns {Promise}
    */
-  _logger = undefined
+  waitForViewport(self) {
+    if (self._viewportPromise) {
+      return self._viewportPromise
+    }
+
+    self._viewportPromise = new Promise((resolve) => {
+      self._unobserveViewport = observeViewport(self.$el, () => {
+        self._logger.log('element enter viewport:', self.$actualSrc)
+
+        self._intersected = true
+        self._unobserveViewport = null
+
+        self._imageLoader.setPriority(_actions.getPriority(self))
+
+        // 进入视口后才开始计算载入中占位图片的延迟
+        _actions.startLoadingDelay(self)
+
+        resolve()
+      }, {
+        rootMargin: self.$rootMargin,
+        threshold: self.$threshold,
+      })
+    })
 
+    return self._viewportPromise
+  },
   /**
-   * 执行loadingPlaceholder时的包裹器父节点
+   * 观察目标元素是否进入视口，进入后提升排队中请求的优先级
+   * [注] 仅用于未启用懒加载的实例，懒加载的实例在进入视口后才请求
    *
-   * @since 1.2.2
+   * @since 1.3.0
    *
-   * @private
+   * @param {ImageElementShell} self - 实例自身
    */
-  _parentNode = undefined
-
+  observePriority(self) {
+    self._unobserveViewport = observeViewport(self.$el, () => {
+      self._intersected = true
+      self._unobserveViewport = null
+
+      self._imageLoader.setPriority(_actions.getPriority(self))
+    }, {
+      rootMargin: self.$rootMargin,
+      threshold: self.$threshold,
+    })
+  },
   /**
-   * 执行loadingPlaceholder时的包裹器父节点
+   * 获取实例请求的优先级数值，元素在视口内时会提升优先级
    *
-   * @since 1.2.2
+   * @since 1.3.0
    *
-   * @private
+   * @param {ImageElementShell} self - 实例自身
+   *
+   * @returns {number}
    */
-  _placeholderNode = undefined
-
+  getPriority(self) {
+    return toPriorityValue(self.$priority) + (self._intersected ? VIEWPORT_PRIORITY_BOOST : 0)
+  },
   /**
-   * 执行loadingPlaceholder时延迟计时器
+   * 获取元素的渲染宽度，元素还未渲染时以视口宽度代替（与原生`sizes`属性的默认值`100vw`一致）
    *
-   * @since 1.2.2
+   * @since 1.3.0
    *
-   * @private
+   * @param {ImageElementShell} self - 实例自身
+   *
+   * @returns {number}
    */
-  _loadingTimeouter = undefined
-
+  getRenderedWidth(self) {
+    return self.$el.getBoundingClientRect().width || window.innerWidth || document.documentElement.clientWidth
+  },
   /**
-   * 执行loadingPlaceholder时延迟技术器
+   * 获取设备像素比
    *
-   * @since 1.2.2
+   * @since 1.3.0
    *
-   * @private
+   * @returns {number}
    */
-  _originClassNameList = undefined
-
+  getDevicePixelRatio() {
+    return window.devicePixelRatio || 1
+  },
   /**
-   * 是否可以执行动效
+   * 将带单位的尺寸值转换为像素值，支持`px`和`rem`单位
    *
-   * @since 1.2.2
+   * @since 1.3.0
    *
-   * @private
+   * @param {string} [size] - 带单位的尺寸值
+   *
+   * @returns {number} - 无法转换时返回NaN
    */
-  _canAnimate = undefined
+  toPixel(size) {
+    const value = parseFloat(size)
+
+    if (/rem$/.test(size)) {
+      const fontSize = parseFloat(_actions.dumpComputedStyles(document.documentElement, 'font-size')['font-size'])
+
+      return value * fontSize
+    }
 
+    return /px$/.test(size) ? value : NaN
+  },
   /**
-   * 是否正在执行动画效果中
+   * 获取图片的目标显示尺寸，优先使用设置的宽高值，未设置时使用元素的渲染尺寸
    *
-   * @since 1.2.2
+   * @since 1.3.0
    *
-   * @private
+   * @param {ImageElementShell} self - 实例自身
+   *
+   * @returns {object} - 返回`{ width, height }`格式，单位：px，无法获取时为undefined
    */
-  _animationing = undefined
+  getTargetSize(self) {
+    const rect = self.$el.getBoundingClientRect()
 
+    const width = _actions.toPixel(self.$width) || rect.width
+    const height = _actions.toPixel(self.$height) || rect.height
+
+    return {
+      width: width || undefined,
+      height: height || undefined,
+    }
+  },
   /**
-   * 实例初始配置项
+   * 解析出实际请求的图片地址
+   * 1. 从srcset候选图片中挑选出最合适的图片地址，不存在候选图片时，则使用声明的图片地址
+   * 2. 若设置了地址转换器，则交由转换器转换为最终的图片地址（占位图片和dataURL除外）
    *
-   * @since 1.0.0
+   * @since 1.3.0
    *
-   * @readonly
+   * @param {ImageElementShell} self - 实例自身
    *
-   * @type {object}
+   * @returns {object} - 返回`{ url, resolution }`格式，resolution为该图片对应的物理像素宽度，用于比较清晰度
+   */
+  resolveSource(self) {
+    const dpr = _actions.getDevicePixelRatio()
+    const renderedWidth = _actions.getRenderedWidth(self)
+
+    const candidate = pickCandidate(parseSrcset(self.$srcset, self.$src), {
+      dpr,
+      width: renderedWidth,
+    })
+
+    const src = candidate ? candidate.url : self.$src
+
+    if (!self.$transformer || !src || BASE64_REG.test(src) || src === self.$placeholder) {
+      return {
+        url: src,
+        resolution: candidate ? candidate.resolution : 0,
+      }
+    }
+
+    const { width, height } = _actions.getTargetSize(self)
+
+    return {
+      url: self.$transformer({ src, width, height, dpr, format: self.$format }) || src,
+      resolution: (width || renderedWidth) * dpr,
+    }
+  },
+  /**
+   * 设备像素比或元素尺寸变化时，重新解析图片地址
+   * 仅当解析出的图片分辨率比当前的更高时才重新请求，避免降级请求已显示过的更清晰的图片
+   *
+   * @since 1.3.0
+   *
+   * @param {ImageElementShell} self - 实例自身
+   *
+   * @returns {undefined}
+   */
+  repick(self) {
+    if (self._destroyed || !self._currentSrc) {
+      return
+    }
+
+    const { url, resolution } = _actions.resolveSource(self)
+
+    if (url === self.$actualSrc || resolution <= self._resolution) {
+      return
+    }
+
+    self._logger.log('device pixel ratio or size changed, repick image:', url)
+
+    self.load(self.$src).catch((err) => {
+      self._logger.log('repicked image load failed:', err)
+    })
+  },
+  /**
+   * 监听设备像素比和元素尺寸的变化
+   * 元素尺寸优先使用ResizeObserver监听，不支持时降级为监听窗口的resize事件
+   *
+   * @since 1.3.0
+   *
+   * @param {ImageElementShell} self - 实例自身
+   *
+   * @returns {undefined}
+   */
+  watchResolution(self) {
+    if (self._unwatchResolution) {
+      return
+    }
+
+    let timeouter
+    let mediaQuery
+    let resizeObserver
+
+    const debounceHandler = () => {
+      clearTimeout(timeouter)
+      timeouter = setTimeout(() => {
+        _actions.repick(self)
+      }, RESIZE_DEBOUNCE_DELAY)
+    }
+
+    // 设备像素比变化后（如窗口拖到另一个显示器上或页面缩放），需按新的像素比重新监听
+    const listenMedia = () => {
+      mediaQuery && mediaQuery.removeListener(changeHandler)
+      mediaQuery = window.matchMedia && window.matchMedia(`(resolution: ${_actions.getDevicePixelRatio()}dppx)`)
+      mediaQuery && mediaQuery.addListener(changeHandler)
+    }
+
+    const changeHandler = () => {
+      listenMedia()
+      debounceHandler()
+    }
+
+    listenMedia()
+
+    if ('ResizeObserver' in window) {
+      resizeObserver = new ResizeObserver(debounceHandler)
+      resizeObserver.observe(self.$el)
+    } else {
+      window.addEventListener('resize', debounceHandler, false)
+    }
+
+    self._unwatchResolution = () => {
+      clearTimeout(timeouter)
+      mediaQuery && mediaQuery.removeListener(changeHandler)
+      resizeObserver ? resizeObserver.disconnect() : window.removeEventListener('resize', debounceHandler, false)
+    }
+  },
+  /**
+   * 执行指定阶段的动效，动效样式的规则参考了vue的transition组件
+   * - 起始时更改样式为`${animationClassName}-${phase}`
+   * - 下一帧更改样式为`${animationClassName}-${phase}-active`
+   * - 动效结束后更改样式为`${animationClassName}-${phase}-end`
+   * [注] 若未触发动画结束事件，会在动画时长后兜底结束
+   *
+   * @since 1.3.0
+   *
+   * @async
+   *
+   * @param {ImageElementShell} self - 实例自身
+   * @param {string} phase - 动效阶段，enter或leave
+   *
+   * @returns {Promise} - 动效正常结束时resolve的值为true，被中断时为false
+   */
+  runAnimation(self, phase) {
+    // 中断正在执行的动效
+    _actions.stopAnimationing(self)
+
+    return new Promise((resolve) => {
+      const animationClassName = self.$animationClassName
+
+      let cancelAnimationEnd
+      let timeouter
+
+      // 结束动效，completed为false时表示被中断
+      const finish = self._finishAnimation = (completed) => {
+        if (self._finishAnimation !== finish) {
+          return
+        }
+
+        self._finishAnimation = null
+        self._animationing = false
+
+        cancelAnimationEnd && cancelAnimationEnd()
+        clearTimeout(timeouter)
+
+        if (completed) {
+          _actions.setClassName(self, `${animationClassName}-${phase}-end`)
+        }
+
+        resolve(completed)
+      }
+
+      // 性能优化：动效延迟到下一帧执行，不要在同一时间内同时执行
+      requestAnimationFrame(() => {
+        if (self._finishAnimation !== finish) {
+          return
+        }
+
+        self._animationing = true
+
+        // 替换为起始样式
+        _actions.setClassName(self, `${animationClassName}-${phase}`)
+
+        requestAnimationFrame(() => {
+          if (self._finishAnimation !== finish) {
+            return
+          }
+
+          cancelAnimationEnd = onceAnimationEnd(self.$el, () => {
+            finish(true)
+          })
+
+          // 替换为动效激活样式
+          _actions.setClassName(self, `${animationClassName}-${phase}-active`)
+
+          timeouter = setTimeout(() => {
+            finish(true)
+          }, getAnimationTimeout(self.$el) + 1)
+        })
+      })
+    })
+  },
+  /**
+   * 中断正在执行的动效
+   *
+   * @since 1.3.0
+   *
+   * @param {ImageElementShell} self - 实例自身
+   */
+  stopAnimationing(self) {
+    self._finishAnimation && self._finishAnimation(false)
+  },
+  /**
+   * 判断当前显示的图片是否可以执行移除动效
+   *
+   * @since 1.3.0
+   *
+   * @param {ImageElementShell} self - 实例自身
+   *
+   * @returns {boolean}
+   */
+  canLeave(self) {
+    // 已执行过移除动效，或未启用动效，或还未成功显示过图片时，不执行
+    if (self._left || !self.$animate || !self.$animationClassName || self._imageLoader.$status !== 'success') {
+      return false
+    }
+
+    // 已脱离文档的元素执行动效不可见，且不会触发动画结束事件
+    return document.documentElement.contains(self.$el)
+  },
+
+  /**
+   * 图片请求成功事件
+   *
+   * @since 1.1.0
+   *
+   * @param {ImageElementShell} self - 实例自身
+   */
+  successHandler(self) {
+    return function () {
+      // 实例已销毁时不再处理
+      if (self._destroyed) {
+        return
+      }
+
+      clearTimeout(self._loadingTimeouter)
+
+      // 真实图片已载入，还未载入完成的预览图不再显示
+      self._previewSrc = null
+
+      // 移除包裹dom
+      // 已显示预览图时，保留包裹dom，在真实图片的载入动效结束后再移除，以实现从预览图淡入的过渡
+      if (!self._previewShown || !self._requestingActual) {
+        _actions.removeContainerDom(self)
+      }
+
+      // 设置图片地址，图片从持久化缓存中读取时使用其objectURL
+      _actions.setImageSrc(self.$el, self._imageLoader.$objectURL || self.$currentSrc)
+
+      // 图片已显示，移除占位颜色
+      _actions.clearColor(self)
+
+      // 已执行过移除动效，但最终显示的非真实图片时（如加载失败时的占位图片），不会再执行载入动效，需还原样式
+      if (self._left && !self._requestingActual) {
+        self._left = false
+        _actions.stopAnimationing(self)
+        _actions.setClassName(self, '')
+      }
+
+      self._logger.log('image load successed:', self.$currentSrc)
+
+      if (self._requestingActual) {
+        self._context && Object.assign(self._context, {
+          naturalWidth: self.$naturalWidth,
+          naturalHeight: self.$naturalHeight,
+        })
+
+        _actions.callHook(self, 'onLoad')
+      } else {
+        // 最终显示的非真实图片时（加载失败时的占位图片或透明图片）
+        self._context && (self._context.fallbackSrc = self.$currentSrc)
+
+        _actions.callHook(self, 'onFallback')
+        _actions.dispatchEvent(self, 'image-fallback')
+      }
+    }
+  },
+  /**
+   * 图片请求失败事件
+   *
+   * @since 1.1.0
+   *
+   * @param {ImageElementShell} self - 实例自身
+   */
+  failHandler(self) {
+    return function () {
+      // 实例已销毁时不再处理
+      if (self._destroyed) {
+        return
+      }
+
+      self._logger.log(`image load faild (${self._imageLoader.$status}):`, self.$currentSrc)
+
+      // 真实图片请求失败且还有重试次数时，交由重试处理，暂不使用占位图片
+      if (self._requestingActual && self.$attempts <= self.$retries) {
+        return
+      }
+
+      clearTimeout(self._loadingTimeouter)
+
+      self._previewSrc = null
+
+      // 移除包裹dom
+      _actions.removeContainerDom(self)
+
+      // 真实图片的所有请求均失败
+      if (self._requestingActual) {
+        self._context && (self._context.error = self._imageLoader.$error)
+
+        _actions.callHook(self, 'onError')
+
+        // 记录到性能指标中：该图片使用了占位图片
+        ImageLoader.metrics && ImageLoader.metrics.markFallback(self.$currentSrc)
+      }
+
+      self._requestingActual = false
+
+      // 如果是二次加载图片且又失败
+      // 则使用透明图片代替
+      self._currentSrc = self.$currentSrc === self.$placeholder
+        ? TRANSPARENT_PLACEHOLDER_IMAGE
+        : self.$placeholder
+
+      self._context && self._context.tried.push(self.$currentSrc)
+
+      // 占位图片请求失败时会再次进入该处理器，改用透明图片
+      self._imageLoader.load(self.$currentSrc).catch((err) => {
+        self._logger.log('placeholder image load failed:', err)
+      })
+    }
+  },
+
+  /**
+   * 获取占位颜色：优先使用指定的占位颜色，启用主色模式时使用已下载图片缓存中记录的主色
+   *
+   * @since 1.3.0
+   *
+   * @param {ImageElementShell} self - 实例自身
+   *
+   * @returns {string} - 不存在时返回空字符串
+   */
+  getPlaceholderColor(self) {
+    if (self.$placeholderColor) {
+      return self.$placeholderColor
+    }
+
+    if (!self.$options.color || !self.$actualSrc) {
+      return ''
+    }
+
+    const entry = ImageLoader.cache.peek(self.$actualSrc)
+
+    return (entry && entry.color) || ''
+  },
+  /**
+   * 在图片载入完成前，以纯色填充元素，代替透明图片
+   *
+   * @since 1.3.0
+   *
+   * @param {ImageElementShell} self - 实例自身
+   */
+  paintColor(self) {
+    const color = _actions.getPlaceholderColor(self)
+
+    if (!color) {
+      return
+    }
+
+    // 记录元素原本的背景色，以便还原
+    if (!self._colorPainted) {
+      self._originBackgroundColor = self.$el.style.backgroundColor
+      self._colorPainted = true
+    }
+
+    self.$el.style.backgroundColor = color
+  },
+  /**
+   * 还原元素原本的背景色
+   *
+   * @since 1.3.0
+   *
+   * @param {ImageElementShell} self - 实例自身
+   */
+  clearColor(self) {
+    if (!self._colorPainted) {
+      return
+    }
+
+    self.$el.style.backgroundColor = self._originBackgroundColor
+    self._colorPainted = false
+    self._originBackgroundColor = ''
+  },
+  /**
+   * 创建生命周期钩子的上下文对象，每次调用{@link ImageElementShell#load}时创建
+   *
+   * @since 1.3.0
+   *
+   * @param {ImageElementShell} self - 实例自身
+   * @param {string} url - 即将请求的图片地址
+   * @param {string} reason - 请求原因：initial（首次请求或更换了图片）、repick（设备像素比或元素尺寸变化后重新挑选图片）、retry（手动重新请求）
+   *
+   * @returns {object}
+   */
+  createContext(self, url, reason) {
+    return {
+      el: self.$el,
+      vm: self.$options.vm,
+      src: self.$src,
+      url,
+      reason,
+      tried: [],
+      attempts: 0,
+      startTime: Date.now(),
+      endTime: 0,
+      duration: 0,
+      naturalWidth: 0,
+      naturalHeight: 0,
+      fallbackSrc: '',
+      error: null,
+    }
+  },
+  /**
+   * 调用全局配置的生命周期钩子，钩子内抛出的错误不影响图片的请求
+   *
+   * @since 1.3.0
+   *
+   * @param {ImageElementShell} self - 实例自身
+   * @param {string} name - 钩子名称：beforeLoad、onLoad、onError、onFallback
+   *
+   * @returns {*} - 钩子的返回值
+   */
+  callHook(self, name) {
+    const hook = self.$options[name]
+
+    if (typeof hook !== 'function' || !self._context) {
+      return
+    }
+
+    // 除beforeLoad外，调用时请求已结束，记录耗时
+    if (name !== 'beforeLoad') {
+      self._context.attempts = self.$attempts
+      self._context.endTime = Date.now()
+      self._context.duration = self._context.endTime - self._context.startTime
+    }
+
+    try {
+      return hook(self._context)
+    } catch (err) {
+      self._logger.log(`${name} hook error:`, err)
+    }
+  },
+  /**
+   * 在元素上派发生命周期事件（可冒泡的CustomEvent）
+   * 事件的detail包含`{ src, currentSrc, naturalWidth, naturalHeight, loaded, status, attempts }`以及附加数据
+   *
+   * @since 1.3.0
+   *
+   * @param {ImageElementShell} self - 实例自身
+   * @param {string} type - 事件类型，如image-load
+   * @param {object} [detail={}] - 附加数据
+   */
+  dispatchEvent(self, type, detail = {}) {
+    self.$el.dispatchEvent(new CustomEvent(type, {
+      bubbles: true,
+      detail: {
+        src: self.$actualSrc,
+        currentSrc: self.$currentSrc,
+        naturalWidth: self.$naturalWidth,
+        naturalHeight: self.$naturalHeight,
+        loaded: !!self.$loaded,
+        status: self._imageLoader.$status,
+        attempts: self.$attempts,
+        ...detail,
+      },
+    }))
+  },
+  /**
+   * 图片下载进度事件
+   * 将进度同步到元素上：`--image-progress`样式变量为0~1的比例值，`data-image-progress`属性为0~100的整数百分比
+   *
+   * @since 1.3.0
+   *
+   * @param {ImageElementShell} self - 实例自身
+   */
+  progressHandler(self) {
+    return function ({ percent }) {
+      // 实例已销毁或请求的非真实图片时不再处理
+      if (self._destroyed || !self._requestingActual) {
+        return
+      }
+
+      _actions.setProgress(self, percent)
+    }
+  },
+  /**
+   * 设置元素上的下载进度
+   *
+   * @since 1.3.0
+   *
+   * @param {ImageElementShell} self - 实例自身
+   * @param {number} percent - 百分比，取值范围为0~100
+   */
+  setProgress(self, percent) {
+    self.$el.style.setProperty('--image-progress', String(percent / 100))
+    self.$el.setAttribute('data-image-progress', String(Math.round(percent)))
+  },
+  /**
+   * 为图片地址附加防缓存的重试参数
+   *
+   * @since 1.3.0
+   *
+   * @param {string} src - 图片地址
+   * @param {number} attempts - 当前尝试次数
+   *
+   * @returns {string}
+   */
+  appendRetryQuery(src, attempts) {
+    const [url, hash] = src.split('#')
+    const separator = url.indexOf('?') >= 0 ? '&' : '?'
+
+    return `${url}${separator}_retry=${attempts}` + (hash !== undefined ? '#' + hash : '')
+  },
+  /**
+   * 尝试请求真实图片，失败时按指数退避的延迟时间重试，重试时会附加防缓存参数
+   * 所有重试均失败后才会reject（此时已交由失败处理器使用占位图片）
+   *
+   * @since 1.3.0
+   *
+   * @async
+   *
+   * @param {ImageElementShell} self - 实例自身
+   * @param {string} actualSrc - 真实图片地址
+   * @param {object} token - 请求令牌
+   *
+   * @returns {Promise}
+   */
+  attempt(self, actualSrc, token) {
+    self._attempts++
+    self._requestingActual = true
+
+    // dataURL无需防缓存
+    self._currentSrc = self._attempts > 1 && !BASE64_REG.test(actualSrc)
+      ? _actions.appendRetryQuery(actualSrc, self._attempts - 1)
+      : actualSrc
+
+    self._context && self._context.tried.push(self.$currentSrc)
+
+    // 以ajax方式请求时，重新开始计算下载进度
+    if (self.$fetch) {
+      _actions.setProgress(self, 0)
+    }
+
+    const loading = self.$fetch
+      ? self._imageLoader.fetch(self.$currentSrc)
+      : self._imageLoader.load(self.$currentSrc)
+
+    return loading.catch((err) => {
+      // 请求被取消、已被新的请求替代或重试次数已用完时，不再重试
+      if ((err && err.type === 'abort') || !_actions.isCurrent(self, token) || self.$attempts > self.$retries) {
+        return Promise.reject(err)
+      }
+
+      const delay = self.$retryDelay * Math.pow(self.$retryBackoff, self.$attempts - 1)
+
+      self._logger.log(`image load retry after ${delay}ms:`, actualSrc)
+
+      return new Promise((resolve) => {
+        self._retryTimeouter = setTimeout(resolve, delay)
+      }).then(() => {
+        // 等待期间已发起新的请求或实例已被销毁，则放弃重试
+        if (!_actions.isCurrent(self, token)) {
+          return Promise.reject(err)
+        }
+
+        return _actions.attempt(self, actualSrc, token)
+      })
+    })
+  },
+  /**
+   * 请求实例当前的真实图片地址
+   *
+   * @since 1.3.0
+   *
+   * @async
+   *
+   * @param {ImageElementShell} self - 实例自身
+   * @param {boolean} changed - 声明的图片是否有变化
+   * @param {object} token - 请求令牌
+   *
+   * @returns {Promise}
+   */
+  request(self, changed, token) {
+    clearTimeout(self._retryTimeouter)
+    self._attempts = 0
+
+    // 更换图片时，先显示预览图
+    changed && _actions.loadPreview(self, token)
+
+    // 从真正发起请求时开始计时（不包含懒加载和移除动效的等待时间）
+    self._context && (self._context.startTime = Date.now())
+
+    // 直接请求占位图片时，不派发真实图片的生命周期事件
+    const placeholderLoad = _actions.isPlaceholderLoad(self)
+
+    placeholderLoad || _actions.dispatchEvent(self, 'image-loading')
+
+    // 载入图片
+    return _actions.attempt(self, self.$actualSrc, token).then((result) => {
+      // 已被新的请求替代或实例已销毁时，不再执行动效
+      if (!_actions.isCurrent(self, token)) {
+        return result
+      }
+
+      // 如果未进行过动效，且这张图片已下载过，且未开启强制动效，则判断图片已加载完毕，否则将进行动效载入
+      // 若声明的图片未变化（如重新挑选了srcset图片），则不再进行动效载入
+      // 若旧图片已执行过移除动效，则新图片必须执行载入动效
+      self._canAnimate = !self._left && self.$loaded && (!changed || (self._imageLoader.$loaded && !self.$force))
+
+      placeholderLoad || _actions.dispatchEvent(self, 'image-load')
+
+      // 开始执行动效
+      _actions.startAnimationing(self)
+      return Promise.resolve(result)
+    }).catch((err) => {
+      // 请求被新的请求替代或被取消时，不影响实例状态
+      if ((err && err.type === 'abort') || !_actions.isCurrent(self, token)) {
+        return
+      }
+
+      self._canAnimate = false
+      self._loaded = false
+
+      placeholderLoad || _actions.dispatchEvent(self, 'image-error', { error: err })
+
+      return Promise.reject(err)
+    })
+  },
+  /**
+   * 开始进行动效
+   *
+   * @since 1.2.0
+   *
+   * @param {ImageElementShell} self - 实例自身
+   *
+   * @returns {undefined}
+   */
+  startAnimationing(self) {
+    // 当前图片地址非实际图片地址时，不进行动效载入
+    if (!self._requestingActual) {
+      return
+    }
+
+    // 图片未加载完毕，且开启了动效，且存在动效名称时，才进行动画
+    // 不进行动画时，直接移除预览图的包裹dom
+    if (self._canAnimate || !self.$animate || !self.$animationClassName) {
+      _actions.removeContainerDom(self)
+      return
+    }
+
+    // 旧图片执行过移除动效时，立即以载入动效的起始样式替换移除动效的结束样式，避免残留
+    if (self._left) {
+      _actions.setClassName(self, `${self.$animationClassName}-enter`)
+    }
+
+    self._left = false
+
+    _actions.runAnimation(self, 'enter').then((completed) => {
+      // 移除包裹dom（动效被中断时同样移除，避免预览图残留）
+      _actions.removeContainerDom(self)
+
+      if (!completed) {
+        return
+      }
+
+      // 标记已成功载入过
+      self._loaded = true
+
+      _actions.dispatchEvent(self, 'image-animation-end')
+    })
+  }
+}
+
+/**
+ * @classdesc DOM元素数据和操作封装类
+ *
+ * @class
+ */
+class ImageElementShell {
+  /**
+   * 默认配置选项
+   *
+   * @since 1.0.0
+   *
+   * @static
+   * @readonly
+   * @memberOf ImageElementShell
+   *
+   * @type {object}
+   * @property {string} name='directive-image-loader' - 日志打印器命名空间
+   * @property {boolean} debug=false - 打印器调试模式是否开启
+   * @property {object} placeholders={} - 全局配置占位图片，key名会转换为修饰符
+   * @property {string} loadingPlaceholder='' - 全局配置图片载入中占位图片
+   * @property {number} loadingDelay=300 - 载入中占位图片的延迟加载时间，避免出现载入中图片瞬间切换为真实图片的闪烁问题
+   * @property {number} animationClassName='' - 动效的样式类
+   * @property {boolean} animate=true - 是否启用动效载入，全局性动效开关，比如为了部分机型，可能会关闭动效的展示
+   * @property {boolean} force=false - 是否强制开启每次指令绑定或更新进行动效展示。若关闭，则图片只在初次加载成功进行特效载入，之后不进行特效加载
+   * @property {boolean} lazy=false - 是否启用懒加载，启用后元素进入视口时才请求图片
+   * @property {string} rootMargin='0px' - 懒加载时视口的外边距，可扩大判断进入视口的区域，以便提前请求图片
+   * @property {number} threshold=0 - 懒加载时元素的可见比例达到该阈值才认为进入视口
+   * @property {?function} transformer=null - 图片地址转换器，接收`{ src, width, height, dpr, format }`，返回最终的图片地址
+   * @property {string} format='' - 期望输出的图片格式，交由地址转换器处理，未设置地址转换器时不生效（调试模式下会打印警告）
+   * @property {string|number} priority='normal' - 请求的优先级，可以是优先级等级名称（low、normal、high）或数值，元素在视口内时会再提升半级
+   * @property {number} retries=0 - 真实图片请求失败时的重试次数，重试均失败后才使用占位图片
+   * @property {number} retryDelay=1000 - 首次重试前的延迟时间，单位：毫秒
+   * @property {number} retryBackoff=2 - 重试延迟时间的指数退避倍数，第n次重试的延迟时间为`retryDelay * retryBackoff ^ (n - 1)`
+   * @property {number} timeout=0 - 单次请求的超时时间，单位：毫秒，0表示不限制。超时将视为请求失败
+   * @property {boolean} fetch=false - 是否以ajax方式请求真实图片，启用后会将下载进度同步到元素的`--image-progress`样式变量和`data-image-progress`属性上
+   * @property {boolean} hydrate=false - 是否沿用服务端渲染的dom，启用后不再设置透明图片和宽高样式（已由服务端按{@link ImageElementShell.getSSRProps}渲染）
+   * @property {boolean} color=false - 是否启用主色模式：图片首次载入成功后提取主色，再次请求该图片时，在载入完成前以主色填充元素
+   * @property {string} placeholderColor='' - 图片载入完成前填充元素的占位颜色，优先于提取的主色
+   * @property {?object} vm=null - 元素所在的vue组件实例，会传入生命周期钩子的上下文中
+   * @property {?function} beforeLoad=null - 请求图片前调用的钩子，接收上下文对象，返回false时取消请求，返回字符串时替换请求的图片地址（也可直接修改上下文的url字段）
+   * @property {?function} onLoad=null - 真实图片载入成功时调用的钩子，接收上下文对象
+   * @property {?function} onError=null - 真实图片所有重试均失败时调用的钩子，接收上下文对象
+   * @property {?function} onFallback=null - 显示了加载失败的占位图片（或透明图片）时调用的钩子，接收上下文对象
+   */
+  static options = {
+    name: 'ImageElementShell',
+    debug: false,
+    placeholder: {},
+    loadingPlaceholder: '',
+    loadingDelay: 300,
+    animationClassName: '',
+    animate: true,
+    force: false,
+    lazy: false,
+    rootMargin: '0px',
+    threshold: 0,
+    transformer: null,
+    format: '',
+    priority: 'normal',
+    retries: 0,
+    retryDelay: 1000,
+    retryBackoff: 2,
+    timeout: 0,
+    fetch: false,
+    hydrate: false,
+    color: false,
+    placeholderColor: '',
+    vm: null,
+    beforeLoad: null,
+    onLoad: null,
+    onError: null,
+    onFallback: null,
+  }
+
+  /**
+   * 获取服务端渲染时元素需设置的属性和样式，与实例创建时对dom的改动一致，客户端激活时无需再改动dom
+   * [注] 元素已设置了原图片地址时，保留原图片地址，不设置透明图片；未知元素标签名时，只输出宽高样式
+   *
+   * @since 1.3.0
+   *
+   * @param {object} options - 配置选项
+   * @param {string} [options.tag=''] - 元素标签名
+   * @param {string} [options.originSrc=''] - 原节点图片地址
+   * @param {string} [options.width=''] - 宽度值，带单位
+   * @param {string} [options.height=''] - 高度值，带单位
+   *
+   * @returns {object} - 返回`{ attrs, style }`格式
+   */
+  static getSSRProps({ tag = '', originSrc = '', width = '', height = '' }) {
+    const attrs = {}
+    const style = {}
+
+    if (tag && tag.toLowerCase() !== 'img') {
+      style.backgroundImage = 'url("' + TRANSPARENT_PLACEHOLDER_IMAGE + '")'
+    } else if (tag && !originSrc) {
+      attrs.src = TRANSPARENT_PLACEHOLDER_IMAGE
+    }
+
+    if (width && height) {
+      style.width = width
+      style.height = height
+    }
+
+    return { attrs, style }
+  }
+
+  /**
+   * 构造函数
+   *
+   * @see ImageElementShell.options
+   *
+   * @param {object} options - 其他配置选项见{@link ImageElementShell.options}
+   * @param {Element} options.el - 绑定的dom节点
+   * @param {string} [options.width] - 宽度值，带单位
+   * @param {string} [options.height] - 高度值，带单位
+   * @param {string} [options.originSrc] - 原节点图片地址
+   * @param {string} [options.originClassName] - 原节点样式名
+   */
+  constructor(options) {
+    this.$options = {
+      ...ImageElementShell.options,
+      ...options
+    }
+
+    this._logger = new Logger({
+      name: this.$options.name,
+      debug: this.$options.debug
+    })
+
+    // 1. 判断是否正在请求**占位图片**的步骤，若请求占位图片也失败，则使用**透明图片**代替占位
+    // 2. 如果动态图片地址和占位图片地址相同，则直接认为是在请求占位图片的步骤
+    this._imageLoader = new ImageLoader({
+      name: this.$options.name,
+      debug: this.$options.debug,
+      priority: _actions.getPriority(this),
+      color: this.$options.color,
+      timeout: this.$options.timeout,
+      // 占位图片不写入持久化缓存
+      persist: () => {
+        return this._requestingActual && !_actions.isPlaceholderLoad(this)
+      },
+      // 重试时请求的地址附加了防缓存参数，仍以真实图片地址记录到已下载图片缓存中
+      getCacheKey: (src) => {
+        return this._requestingActual ? this.$actualSrc : src
+      },
+    })
+
+    this._successHandler = _actions.successHandler(this)
+    this._failHandler = _actions.failHandler(this)
+    this._progressHandler = _actions.progressHandler(this)
+
+    this._imageLoader.on('load', this._successHandler)
+    this._imageLoader.on('error', this._failHandler)
+    this._imageLoader.on('progress', this._progressHandler)
+
+    // 图片格式只交由地址转换器处理，未设置转换器时不会生效
+    if (this.$format && !this.$transformer) {
+      this._logger.log(`image format "${this.$format}" is ignored, because no transformer is configured!`)
+    }
+
+    // 源样式列表
+    this._originClassNameList = this.$options.originClassName.split(' ')
+
+    // 记录元素原本的内联样式，销毁时还原
+    this._originStyles = {}
+
+    ORIGIN_STYLE_PROPS.forEach((prop) => {
+      this._originStyles[prop] = this.$el.style[prop]
+    })
+
+    if (this.$options.hydrate) {
+      // 沿用服务端渲染的dom，透明图片和宽高样式已设置，服务端设置的透明图片不视为原图片地址
+      // 服务端无法得知标签名时（vue3编译后的服务端渲染代码）不会输出透明图片，需补充设置
+      if (this.$options.originSrc === TRANSPARENT_PLACEHOLDER_IMAGE) {
+        this.$options.originSrc = ''
+      } else if (validation.isEmpty(this.$options.originSrc)) {
+        _actions.setImageSrc(this.$el, TRANSPARENT_PLACEHOLDER_IMAGE)
+      }
+    } else {
+      // 优先使用透明图片占位，避免出现'叉'或'边框线'
+      _actions.setImageSrc(this.$el, TRANSPARENT_PLACEHOLDER_IMAGE)
+
+      // 设置目标元素的高宽
+      _actions.setClientSize(this)
+    }
+
+    // 判断dom元素标签名，若为img标签元素，则设置透明图片占位，否则设置为该元素的背景
+    // 启用懒加载时，等到元素进入视口后再设置占位图片包裹容器
+    if (!this.$lazy) {
+      _actions.startLoadingDelay(this)
+      _actions.observePriority(this)
+    }
+
+    // 绑定实例到dom节点上
+    this.$el._shell = this
+  }
+
+  /**
+   * ImageLoader实例
+   *
+   * @since 1.2.2
+   *
+   * @private
+   */
+  _imageLoader = undefined
+
+  /**
+   * ImageLoader实例的load事件处理器
+   *
+   * @since 1.3.0
+   *
+   * @private
+   */
+  _successHandler = undefined
+
+  /**
+   * ImageLoader实例的error事件处理器
+   *
+   * @since 1.3.0
+   *
+   * @private
+   */
+  _failHandler = undefined
+
+  /**
+   * ImageLoader实例的progress事件处理器
+   *
+   * @since 1.3.0
+   *
+   * @private
+   */
+  _progressHandler = undefined
+
+  /**
+   * Logger实例
+   *
+   * @since 1.2.2
+   *
+   * @private
+   */
+  _logger = undefined
+
+  /**
+   * 执行loadingPlaceholder时的包裹器父节点
+   *
+   * @since 1.2.2
+   *
+   * @private
+   */
+  _parentNode = undefined
+
+  /**
+   * 执行loadingPlaceholder时的包裹器父节点
+   *
+   * @since 1.2.2
+   *
+   * @private
+   */
+  _placeholderNode = undefined
+
+  /**
+   * 包裹器中显示载入中占位图片或预览图的背景节点
+   *
+   * @since 1.3.0
+   *
+   * @private
+   */
+  _backgroundNode = undefined
+
+  /**
+   * 请求预览图的ImageLoader实例，在首次请求预览图时创建
+   *
+   * @since 1.3.0
+   *
+   * @private
+   */
+  _previewLoader = undefined
+
+  /**
+   * 当前请求或显示中的预览图地址，真实图片载入后重置为null
+   *
+   * @since 1.3.0
+   *
+   * @private
+   */
+  _previewSrc = undefined
+
+  /**
+   * 包裹器中是否正在显示预览图
+   *
+   * @since 1.3.0
+   *
+   * @private
+   */
+  _previewShown = false
+
+  /**
+   * 执行loadingPlaceholder时延迟计时器
+   *
+   * @since 1.2.2
+   *
+   * @private
+   */
+  _loadingTimeouter = undefined
+
+  /**
+   * 执行loadingPlaceholder时延迟技术器
+   *
+   * @since 1.2.2
+   *
+   * @private
+   */
+  _originClassNameList = undefined
+
+  /**
+   * 元素原本的内联样式
+   *
+   * @since 1.3.0
+   *
+   * @private
+   */
+  _originStyles = undefined
+
+  /**
+   * 是否可以执行动效
+   *
+   * @since 1.2.2
+   *
+   * @private
+   */
+  _canAnimate = undefined
+
+  /**
+   * 是否正在执行动画效果中
+   *
+   * @since 1.2.2
+   *
+   * @private
+   */
+  _animationing = undefined
+
+  /**
+   * 结束正在执行的动效的函数
+   *
+   * @since 1.3.0
+   *
+   * @private
+   */
+  _finishAnimation = undefined
+
+  /**
+   * 是否已执行过移除动效（且还未重新执行载入动效）
+   *
+   * @since 1.3.0
+   *
+   * @private
+   */
+  _left = undefined
+
+  /**
+   * 实例是否已被销毁
+   *
+   * @since 1.3.0
+   *
+   * @private
+   */
+  _destroyed = undefined
+
+  /**
+   * 懒加载时取消视口观察的函数
+   *
+   * @since 1.3.0
+   *
+   * @private
+   */
+  _unobserveViewport = undefined
+
+  /**
+   * 懒加载时等待元素进入视口的Promise
+   *
+   * @since 1.3.0
+   *
+   * @private
+   */
+  _viewportPromise = undefined
+
+  /**
+   * 懒加载时元素是否已进入过视口
+   *
+   * @since 1.3.0
+   *
+   * @private
+   */
+  _intersected = undefined
+
+  /**
+   * 实例初始配置项
+   *
+   * @since 1.0.0
+   *
+   * @readonly
+   *
+   * @type {object}
    */
   $options = undefined
 
@@ -547,87 +1667,285 @@ class ImageElementShell {
   }
 
   /**
-   * 获取实例设置的高度值
+   * 获取实例设置的高度值
+   *
+   * @since 1.0.0
+   *
+   * @getter
+   *
+   * @type {string}
+   */
+  get $height() {
+    return this.$options.height
+  }
+
+  /**
+   * 存取当前图片的地址
+   *
+   * @since 1.2.2
+   *
+   * @private
+   */
+  _currentSrc = undefined
+
+  /**
+   * 获取当前图片的地址
+   *
+   * @since 1.0.0
+   *
+   * @getter
+   *
+   * @type {string}
+   */
+  get $currentSrc() {
+    return this._currentSrc
+  }
+
+  /**
+   * 设置当前图片的地址
+   *
+   * @since 1.0.0
+   *
+   * @setter
+   *
+   * @param {string} val - 新值
+   */
+  set $currentSrc(val) {
+    this._currentSrc = val
+  }
+
+  /**
+   * 存取声明的图片地址
+   *
+   * @since 1.3.0
+   *
+   * @private
+   */
+  _src = undefined
+
+  /**
+   * 获取声明的图片地址，即调用{@link ImageElementShell#load}时传入的地址
+   *
+   * @since 1.3.0
+   *
+   * @getter
+   *
+   * @type {string}
+   */
+  get $src() {
+    return this._src
+  }
+
+  /**
+   * 存取srcset候选图片集合
+   *
+   * @since 1.3.0
+   *
+   * @private
+   */
+  _srcset = ''
+
+  /**
+   * 获取srcset候选图片集合
+   *
+   * @since 1.3.0
+   *
+   * @getter
+   *
+   * @type {string}
+   */
+  get $srcset() {
+    return this._srcset
+  }
+
+  /**
+   * 存取预览图地址
+   *
+   * @since 1.3.0
+   *
+   * @private
+   */
+  _preview = ''
+
+  /**
+   * 获取预览图地址，可以是图片地址、dataURL，或为'auto'表示由地址转换器生成缩略图
+   * [注] 预览图只用于真实图片载入完成前的过渡显示，不会作为当前图片地址或真实图片地址
+   *
+   * @since 1.3.0
+   *
+   * @getter
+   *
+   * @type {string}
+   */
+  get $preview() {
+    return this._preview
+  }
+
+  /**
+   * 是否已以占位颜色填充元素
+   *
+   * @since 1.3.0
+   *
+   * @private
+   */
+  _colorPainted = false
+
+  /**
+   * 填充占位颜色前元素原本的背景色
+   *
+   * @since 1.3.0
+   *
+   * @private
+   */
+  _originBackgroundColor = ''
+
+  /**
+   * 获取图片载入完成前填充元素的占位颜色
+   *
+   * @since 1.3.0
+   *
+   * @getter
+   *
+   * @type {string}
+   */
+  get $placeholderColor() {
+    return this.$options.placeholderColor
+  }
+
+  /**
+   * 最近一次调用{@link ImageElementShell#load}时生成的请求令牌
+   *
+   * @since 1.3.0
+   *
+   * @private
+   */
+  _loadToken = undefined
+
+  /**
+   * 当前真实图片地址对应的物理像素宽度
+   *
+   * @since 1.3.0
+   *
+   * @private
+   */
+  _resolution = 0
+
+  /**
+   * 取消监听设备像素比和元素尺寸变化的函数
+   *
+   * @since 1.3.0
+   *
+   * @private
+   */
+  _unwatchResolution = undefined
+
+  /**
+   * 存取真实图片的地址
+   *
+   * @since 1.2.2
+   *
+   * @private
+   */
+  _actualSrc = undefined
+
+  /**
+   * 获取真实图片的地址，若设置了srcset或地址转换器，则为解析后的图片地址
+   *
+   * @since 1.0.0
+   *
+   * @getter
+   *
+   * @type {string}
+   */
+  get $actualSrc() {
+    return this._actualSrc
+  }
+
+  /**
+   * 设置真实图片的地址
    *
    * @since 1.0.0
    *
-   * @getter
+   * @setter
    *
-   * @type {string}
+   * @param {string} val - 新值
    */
-  get $height() {
-    return this.$options.height
+  set $actualSrc(val) {
+    this._actualSrc = val
   }
 
   /**
-   * 存取当前图片的地址
+   * 当前的图片地址是否为真实图片（或真实图片的重试地址）
    *
-   * @since 1.2.2
+   * @since 1.3.0
    *
    * @private
    */
-  _currentSrc = undefined
+  _requestingActual = undefined
 
   /**
-   * 获取当前图片的地址
+   * 生命周期钩子的上下文对象，见{@link ImageElementShell.options}
+   * 包含`{ el, vm, src, url, reason, tried, attempts, startTime, endTime, duration, naturalWidth, naturalHeight, fallbackSrc, error }`
    *
-   * @since 1.0.0
+   * @since 1.3.0
    *
-   * @getter
+   * @private
+   */
+  _context = null
+
+  /**
+   * 存取最后一次请求是否被beforeLoad钩子取消
    *
-   * @type {string}
+   * @since 1.3.0
+   *
+   * @private
    */
-  get $currentSrc() {
-    return this._currentSrc
-  }
+  _canceled = false
 
   /**
-   * 设置当前图片的地址
+   * 获取最后一次请求是否被beforeLoad钩子取消
    *
-   * @since 1.0.0
+   * @since 1.3.0
    *
-   * @setter
+   * @getter
+   * @readonly
    *
-   * @param {string} val - 新值
+   * @type {boolean}
    */
-  set $currentSrc(val) {
-    this._currentSrc = val
+  get $canceled() {
+    return this._canceled
   }
 
   /**
-   * 存取真实图片的地址
+   * 存取真实图片的尝试请求次数
    *
-   * @since 1.2.2
+   * @since 1.3.0
    *
    * @private
    */
-  _actualSrc = undefined
+  _attempts = 0
 
   /**
-   * 获取真实图片的地址
+   * 获取真实图片的尝试请求次数（包含首次请求）
    *
-   * @since 1.0.0
+   * @since 1.3.0
    *
    * @getter
    *
-   * @type {string}
+   * @type {number}
    */
-  get $actualSrc() {
-    return this._actualSrc
+  get $attempts() {
+    return this._attempts
   }
 
   /**
-   * 设置真实图片的地址
+   * 重试的延迟计时器
    *
-   * @since 1.0.0
-   *
-   * @setter
+   * @since 1.3.0
    *
-   * @param {string} val - 新值
+   * @private
    */
-  set $actualSrc(val) {
-    this._actualSrc = val
-  }
+  _retryTimeouter = undefined
 
   /**
    * 存取当前实例是否已成功加载过一次
@@ -651,6 +1969,34 @@ class ImageElementShell {
     return this._loaded
   }
 
+  /**
+   * 获取当前显示图片的真实宽度
+   * [注] 请确保在是在{@link ImageElementShell#load}请求成功后调用该属性
+   *
+   * @since 1.3.0
+   *
+   * @getter
+   *
+   * @type {number}
+   */
+  get $naturalWidth() {
+    return this._imageLoader.$naturalWidth
+  }
+
+  /**
+   * 获取当前显示图片的真实高度
+   * [注] 请确保在是在{@link ImageElementShell#load}请求成功后调用该属性
+   *
+   * @since 1.3.0
+   *
+   * @getter
+   *
+   * @type {number}
+   */
+  get $naturalHeight() {
+    return this._imageLoader.$naturalHeight
+  }
+
   /**
    * 获取原图片地址
    *
@@ -742,36 +2088,376 @@ class ImageElementShell {
     return this.$options.animate
   }
 
+  /**
+   * 获取实例是否已被销毁
+   *
+   * @since 1.3.0
+   *
+   * @getter
+   *
+   * @type {boolean}
+   */
+  get $destroyed() {
+    return !!this._destroyed
+  }
+
+  /**
+   * 获取是否启用了懒加载
+   *
+   * @since 1.3.0
+   *
+   * @getter
+   *
+   * @type {boolean}
+   */
+  get $lazy() {
+    return this.$options.lazy
+  }
+
+  /**
+   * 获取懒加载时视口的外边距
+   *
+   * @since 1.3.0
+   *
+   * @getter
+   *
+   * @type {string}
+   */
+  get $rootMargin() {
+    return this.$options.rootMargin
+  }
+
+  /**
+   * 获取懒加载时进入视口的可见比例阈值
+   *
+   * @since 1.3.0
+   *
+   * @getter
+   *
+   * @type {number}
+   */
+  get $threshold() {
+    return this.$options.threshold
+  }
+
+  /**
+   * 获取图片地址转换器
+   *
+   * @since 1.3.0
+   *
+   * @getter
+   *
+   * @type {?function}
+   */
+  get $transformer() {
+    return this.$options.transformer
+  }
+
+  /**
+   * 获取期望输出的图片格式
+   *
+   * @since 1.3.0
+   *
+   * @getter
+   *
+   * @type {string}
+   */
+  get $format() {
+    return this.$options.format
+  }
+
+  /**
+   * 获取请求的优先级
+   *
+   * @since 1.3.0
+   *
+   * @getter
+   *
+   * @type {string|number}
+   */
+  get $priority() {
+    return this.$options.priority
+  }
+
+  /**
+   * 获取请求失败时的重试次数
+   *
+   * @since 1.3.0
+   *
+   * @getter
+   *
+   * @type {number}
+   */
+  get $retries() {
+    return this.$options.retries
+  }
+
+  /**
+   * 获取首次重试前的延迟时间
+   *
+   * @since 1.3.0
+   *
+   * @getter
+   *
+   * @type {number}
+   */
+  get $retryDelay() {
+    return this.$options.retryDelay
+  }
+
+  /**
+   * 获取重试延迟时间的指数退避倍数
+   *
+   * @since 1.3.0
+   *
+   * @getter
+   *
+   * @type {number}
+   */
+  get $retryBackoff() {
+    return this.$options.retryBackoff
+  }
+
+  /**
+   * 获取是否以ajax方式请求真实图片
+   *
+   * @since 1.3.0
+   *
+   * @getter
+   *
+   * @type {boolean}
+   */
+  get $fetch() {
+    return this.$options.fetch
+  }
+
+  /**
+   * 更新实例配置项，用于响应指令值的变化
+   * [注] 占位图片、动效相关的配置在下一次请求图片时生效，宽高值会立即设置到元素上，宽高值被移除时会还原元素原本的宽高样式
+   *
+   * @since 1.3.0
+   *
+   * @param {object} options - 配置选项见{@link ImageElementShell.options}
+   *
+   * @returns {ImageElementShell}
+   */
+  config(options) {
+    const { width, height } = this.$options
+
+    this.$options = {
+      ...this.$options,
+      ...options
+    }
+
+    // 宽高值被移除时，还原元素原本的宽高样式
+    if (this.$width !== width || this.$height !== height) {
+      this.$width && this.$height
+        ? _actions.setClientSize(this)
+        : _actions.restoreStyles(this, ['width', 'height'])
+    }
+
+    return this
+  }
+
   /**
    * 请求图片资源
+   * 若设置了srcset候选图片，则会根据设备像素比和元素的渲染宽度挑选最合适的图片进行请求
+   * 若设置了地址转换器，则会根据目标尺寸、设备像素比和图片格式转换图片地址后再请求
+   * [注] 若启用了懒加载，则会等到元素进入视口后才请求
+   * [注] 解析出图片地址后会调用beforeLoad钩子，钩子可替换图片地址或取消请求；直接请求占位图片时不调用生命周期钩子
    *
    * @since 1.2.1
    *
    * @async
    *
-   * @param {string} actualSrc - 请求图片地址
+   * @param {string} src - 请求图片地址
+   * @param {string} [srcset] - srcset候选图片集合，语法与原生`srcset`属性一致，未传入时沿用上一次的值
+   * @param {string} [preview] - 预览图地址，见{@link ImageElementShell#$preview}，未传入时沿用上一次的值
+   * @param {string} [reason] - 请求原因，记录到钩子上下文中，未传入时根据声明的图片是否有变化判断（initial或repick），手动重新请求时可传入retry
    *
-   * @returns {Promise}
+   * @returns {Promise} - 被beforeLoad钩子取消时直接resolve，可通过{@link ImageElementShell#$canceled}判断
    */
-  load(actualSrc) {
+  load(src, srcset, preview, reason) {
+    // 实例已销毁时不再请求
+    if (this._destroyed) {
+      return Promise.resolve()
+    }
+
+    // 声明的图片是否有变化（重新挑选srcset图片时不算变化）
+    const changed = this._src !== src || (srcset !== undefined && srcset !== this._srcset)
+
+    this._src = src
+
+    if (srcset !== undefined) {
+      this._srcset = srcset
+    }
+
+    if (preview !== undefined) {
+      this._preview = preview
+    }
+
+    const { url, resolution } = _actions.resolveSource(this)
+
+    // 直接请求占位图片时不调用生命周期钩子，避免钩子改写或取消占位图片
+    const context = this._context = _actions.isPlaceholderLoad(this)
+      ? null
+      : _actions.createContext(this, url, reason || (changed ? 'initial' : 'repick'))
+
+    const hookResult = _actions.callHook(this, 'beforeLoad')
+
+    this._canceled = hookResult === false
+
+    // 钩子取消了请求，同时取消旧的请求，避免旧图片载入后覆盖
+    if (this._canceled) {
+      this._logger.log('image load canceled by beforeLoad hook:', url)
+
+      this._loadToken = {}
+      this._imageLoader.abort()
+
+      return Promise.resolve()
+    }
+
+    // 钩子可返回或修改上下文中的图片地址
+    const actualSrc = validation.isString(hookResult) ? hookResult : (context ? context.url : url)
+
     this._actualSrc = actualSrc
-    this._currentSrc = actualSrc
+    this._resolution = resolution
 
-    // 载入图片
-    return this._imageLoader.load(actualSrc).then((result) => {
-      // 如果未进行过动效，且这张图片已下载过，且未开启强制动效，则判断图片已加载完毕，否则将进行动效载入
-      this._canAnimate = this.$loaded && this._imageLoader.$loaded && !this.$force
+    // 立即以占位颜色填充，不等待懒加载或移除动效
+    _actions.paintColor(this)
 
-      // 开始执行动效
-      _actions.startAnimationing(this)
-      return Promise.resolve(result)
-    }).catch((err) => {
-      this._canAnimate = false
-      this._loaded = false
+    // 存在多个候选图片或设置了地址转换器时，监听设备像素比和尺寸的变化
+    if (parseSrcset(this.$srcset, this.$src).length > 1 || this.$transformer) {
+      _actions.watchResolution(this)
+    }
 
-      return Promise.reject(err)
+    // 只有最后一次调用的请求才能更新dom、执行动效
+    const token = this._loadToken = {}
+
+    // 请求前需要等待的任务：懒加载时等待元素进入视口；更换图片时等待旧图片的移除动效
+    let waiting
+
+    if (this.$lazy && !this._intersected) {
+      waiting = _actions.waitForViewport(this)
+    } else if (changed && this.$currentSrc !== actualSrc && _actions.canLeave(this)) {
+      waiting = this.leave()
+    }
+
+    if (!waiting) {
+      return _actions.request(this, changed, token)
+    }
+
+    // 等待期间立即取消旧的请求，避免旧图片载入后覆盖新图片
+    this._imageLoader.abort()
+
+    return waiting.then(() => {
+      // 等待期间再次调用了load方法或实例已被销毁，则忽略本次请求，以最新的调用为准
+      if (!_actions.isCurrent(this, token)) {
+        return
+      }
+
+      return _actions.request(this, changed, token)
     })
   }
+
+  /**
+   * 执行当前图片的移除动效
+   * [注] 未启用动效、还未成功显示过图片或元素已脱离文档时，将直接resolve
+   *
+   * @since 1.3.0
+   *
+   * @async
+   *
+   * @returns {Promise}
+   */
+  leave() {
+    if (this._destroyed || !_actions.canLeave(this)) {
+      return Promise.resolve()
+    }
+
+    this._left = true
+
+    return _actions.runAnimation(this, 'leave')
+  }
+
+  /**
+   * 销毁实例
+   * 取消未完成的延迟任务和视口观察，解绑所有事件，移除载入中占位图片的包裹容器，并还原原图片地址、样式类和内联样式
+   * 销毁后，未完成的图片请求回调都将不再生效
+   *
+   * @since 1.3.0
+   *
+   * @returns {undefined}
+   */
+  destroy() {
+    if (this._destroyed) {
+      return
+    }
+
+    this._destroyed = true
+
+    this._logger.log('shell destroyed:', this.$actualSrc)
+
+    clearTimeout(this._loadingTimeouter)
+    this._loadingTimeouter = null
+
+    clearTimeout(this._retryTimeouter)
+    this._retryTimeouter = null
+
+    // 取消视口观察
+    if (this._unobserveViewport) {
+      this._unobserveViewport()
+      this._unobserveViewport = null
+    }
+
+    // 取消监听设备像素比和尺寸变化
+    if (this._unwatchResolution) {
+      this._unwatchResolution()
+      this._unwatchResolution = null
+    }
+
+    // 取消排队中的请求
+    this._imageLoader.abort()
+    this._previewLoader && this._previewLoader.abort()
+    this._previewSrc = null
+
+    // 解绑图片加载事件
+    this._imageLoader.off('load', this._successHandler)
+    this._imageLoader.off('error', this._failHandler)
+    this._imageLoader.off('progress', this._progressHandler)
+
+    // 移除下载进度
+    this.$el.style.removeProperty('--image-progress')
+    this.$el.removeAttribute('data-image-progress')
+
+    // 还原背景色
+    _actions.clearColor(this)
+
+    // 释放持久化缓存图片的objectURL
+    this._imageLoader.release()
+
+    // 中断动效并解绑动效结束事件
+    _actions.stopAnimationing(this)
+
+    // 强制移除包裹容器
+    _actions.removeContainerDom(this, true)
+
+    // 还原源样式类
+    validation.isEmpty(this.$options.originClassName)
+      ? this.$el.removeAttribute('class')
+      : this.$el.setAttribute('class', this.$options.originClassName)
+
+    // 还原原图片地址和内联样式（宽高、背景图片及包裹容器设置的定位）
+    if (this.$el.nodeName === 'IMG') {
+      validation.isEmpty(this.$originSrc)
+        ? this.$el.removeAttribute('src')
+        : this.$el.setAttribute('src', this.$originSrc)
+    }
+
+    _actions.restoreStyles(this, ORIGIN_STYLE_PROPS)
+
+    delete this.$el._shell
+  }
 }
 
 export default ImageElementShell
\ No newline at end of file
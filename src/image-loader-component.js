@@ -0,0 +1,274 @@
+/**
+ * @file vue组件-图片加载器
+ *
+ * 与指令共用ImageElementShell处理图片的请求、重试和动效，载入中和加载失败的状态通过插槽渲染，不再局限于占位图片
+ * 同时兼容vue2和vue3
+ */
+
+import ImageElementShell from './image-element-shell'
+import { parseSize } from './utils/size'
+import { detectFormats, getBestFormat } from './format-detector'
+
+// 私有方法
+const _actions = {
+  /**
+   * 组件销毁时，销毁ImageElementShell实例
+   *
+   * @since 1.3.0
+   *
+   * @param {object} vm - 组件实例
+   */
+  destroy(vm) {
+    vm._unmounted = true
+    vm._loadToken = null
+
+    vm._shell && vm._shell.destroy()
+  },
+}
+
+/**
+ * 创建图片加载器组件
+ *
+ * @ignore
+ *
+ * @param {object} options - 全局配置选项
+ * @param {string} options.name - 日志打印器命名空间
+ * @param {boolean} options.debug - 打印器调试模式是否开启
+ * @param {number} options.remRatio - rem与px的比例
+ * @param {object} options.placeholders - 全局配置占位图片
+ * @param {string} options.animationClassName - 全局动效的样式类
+ * @param {?function} options.transformer - 全局图片地址转换器
+ * @param {string} options.format - 全局期望输出的图片格式
+ * @param {string[]} options.formats - 自动协商图片格式时的优先级列表
+ * @param {object} options.shellOptions - 其他传递给ImageElementShell的配置选项
+ * @param {?function} options.h - vue3的渲染函数（即vue导出的h函数），vue2中使用render函数接收的createElement
+ *
+ * @returns {object} - vue组件选项对象
+ */
+export function createImageLoaderComponent({
+  name,
+  debug,
+  remRatio,
+  placeholders,
+  animationClassName,
+  transformer,
+  format,
+  formats,
+  shellOptions,
+  h: vue3CreateElement,
+}) {
+  return {
+    name: 'ImageLoader',
+    props: {
+      /**
+       * 请求图片地址
+       */
+      src: {
+        type: String,
+        default: '',
+      },
+      /**
+       * 加载失败时的占位图片地址，也可以是全局配置的占位图片名称
+       * [注] 使用了error插槽时，仍会设置到图片上，可不设置
+       */
+      placeholder: {
+        type: String,
+        default: '',
+      },
+      /**
+       * 图片尺寸，格式与指令参数一致，如`300x400`
+       */
+      size: {
+        type: String,
+        default: '',
+      },
+      /**
+       * 动效的样式类，未设置时使用全局配置
+       */
+      animation: {
+        type: String,
+        default: '',
+      },
+    },
+    emits: ['load', 'error'],
+    data() {
+      return {
+        status: 'loading',
+        naturalWidth: 0,
+        naturalHeight: 0,
+        error: null,
+      }
+    },
+    watch: {
+      src() {
+        this.load()
+      },
+      // 占位图片、动效在下一次请求图片时生效，宽高值立即设置到元素上
+      placeholder() {
+        this._shell && this._shell.config({
+          placeholder: placeholders[this.placeholder] || this.placeholder,
+        })
+      },
+      size() {
+        this._shell && this._shell.config(parseSize(this.size, remRatio))
+      },
+      animation() {
+        this._shell && this._shell.config({
+          animationClassName: this.animation || animationClassName || '',
+        })
+      },
+    },
+    mounted() {
+      const $image = this.$refs.image
+
+      // 需自动协商图片格式时，等待格式支持检测完成
+      Promise.resolve(format === 'auto' && detectFormats()).then(() => {
+        // 在检测完成之前组件已被销毁，则不再处理
+        if (this._unmounted) {
+          return
+        }
+
+        const { width, height } = parseSize(this.size, remRatio)
+
+        // 载入中状态由loading插槽渲染，不使用载入中占位图片（避免包裹容器改动组件管理的dom结构）
+        this._shell = new ImageElementShell({
+          ...shellOptions,
+          name,
+          debug,
+          el: $image,
+          vm: this,
+          width,
+          height,
+          originSrc: '',
+          placeholder: placeholders[this.placeholder] || this.placeholder,
+          loadingPlaceholder: '',
+          originClassName: $image.getAttribute('class') || '',
+          animationClassName: this.animation || animationClassName || '',
+          transformer,
+          format: format === 'auto' ? getBestFormat(formats) : format,
+        })
+
+        this.load()
+      })
+    },
+    // vue2
+    beforeDestroy() {
+      _actions.destroy(this)
+    },
+    // vue3
+    beforeUnmount() {
+      _actions.destroy(this)
+    },
+    methods: {
+      /**
+       * 请求图片，并同步载入状态
+       * 请求被beforeLoad钩子取消时，保持原来的状态，且不触发事件
+       *
+       * @since 1.3.0
+       *
+       * @param {string} [reason] - 请求原因，见{@link ImageElementShell#load}
+       *
+       * @returns {Promise}
+       */
+      load(reason) {
+        const shell = this._shell
+
+        // 实例还未创建时，不进行处理（创建时会读取最新的图片地址）
+        if (!shell) {
+          return Promise.resolve()
+        }
+
+        // 只有最后一次请求才能更新组件状态
+        const token = this._loadToken = {}
+        const src = this.src
+
+        // 若不存在真实图片地址，直接视为加载失败，并请求占位图片
+        if (!src) {
+          this.status = 'error'
+          this.error = null
+
+          // 已处于加载失败状态，占位图片请求失败时无需再处理
+          return shell.load(shell.$placeholder).catch(() => {})
+        }
+
+        const loading = shell.load(src, undefined, undefined, reason)
+
+        // 请求被beforeLoad钩子取消时，保持原来的状态
+        if (shell.$canceled) {
+          return loading
+        }
+
+        this.status = 'loading'
+        this.error = null
+
+        return loading.then(() => {
+          if (token !== this._loadToken) {
+            return
+          }
+
+          this.status = 'loaded'
+          this.naturalWidth = shell.$naturalWidth
+          this.naturalHeight = shell.$naturalHeight
+
+          this.$emit('load', {
+            src,
+            naturalWidth: this.naturalWidth,
+            naturalHeight: this.naturalHeight,
+          })
+        }).catch((err) => {
+          if (token !== this._loadToken) {
+            return
+          }
+
+          this.status = 'error'
+          this.error = err
+
+          this.$emit('error', err)
+        })
+      },
+      /**
+       * 重新请求图片，提供给error插槽使用
+       *
+       * @since 1.3.0
+       *
+       * @returns {Promise}
+       */
+      retry() {
+        return this.load('retry')
+      },
+    },
+    render(createElement) {
+      // vue2的render函数接收createElement，vue3需使用注册插件时传入的h函数
+      const isVue2 = typeof createElement === 'function'
+      const h = isVue2 ? createElement : vue3CreateElement
+
+      const slotProps = {
+        src: this.src,
+        status: this.status,
+        naturalWidth: this.naturalWidth,
+        naturalHeight: this.naturalHeight,
+        error: this.error,
+        retry: this.retry,
+      }
+
+      const slotName = {
+        loading: 'loading',
+        error: 'error',
+        loaded: 'default',
+      }[this.status]
+
+      // vue3中作用域插槽统一到了$slots上
+      const slot = (isVue2 ? this.$scopedSlots : this.$slots)[slotName]
+
+      // 图片节点由ImageElementShell管理样式类、样式和图片地址，不设置任何数据，避免被vue更新覆盖
+      return h('div', {
+        class: ['image-loader', `image-loader--${this.status}`],
+      }, [
+        h('img', {
+          ref: 'image',
+        }),
+        ...[].concat((slot && slot(slotProps)) || []),
+      ])
+    },
+  }
+}
@@ -3,13 +3,34 @@
  */
 
 import EventQueues from '@~lisfan/event-queues'
-
-// 下载成功过的图片地址列表池
-const loadedImageList = []
+import LoadScheduler from './load-scheduler'
+import ImageCache from './image-cache'
 
 // base64格式匹配正则表达式
 const BASE64_REG = /data:(.*);base64,/
 
+// objectURL格式匹配正则表达式
+const OBJECT_URL_REG = /^blob:/
+
+// 图片扩展名与mime类型的映射表
+const MIME_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  bmp: 'image/bmp',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  svg: 'image/svg+xml',
+  ico: 'image/x-icon',
+}
+
+// 识别图片类型时读取的文件头字节数（svg需要读取一段文本）
+const SNIFF_BYTES = 512
+
+// 提取图片主色时的采样尺寸，单位：px
+const COLOR_SAMPLE_SIZE = 16
+
 // 私有方法
 const _actions = {
   /**
@@ -26,234 +47,1381 @@ const _actions = {
     return imageSrc === self.$currentSrc
   },
   /**
-   * 获取图片扩展名
-   * 兼容如下几种图片格式
-   * - base64格式
-   * - 纯固定扩展结尾
-   * - 兼容类似又拍云的图片处理APi，如`path/to/source.jpg!both/100x100`这样的格式
+   * 创建请求失败时的错误对象，可通过错误对象的type属性区分失败原因
+   * - fail - 请求失败
+   * - timeout - 请求超时
+   * - abort - 请求被取消
    *
-   * @since 1.2.0
+   * @since 1.3.0
    *
+   * @param {string} type - 失败原因
    * @param {string} imageSrc - 图片地址
    *
-   * @returns {string}
+   * @returns {Error}
    */
-  getExtension(imageSrc) {
-    const matched = imageSrc.match(BASE64_REG)
+  createError(type, imageSrc) {
+    const err = new Error(`image load ${type}: ${imageSrc}`)
+    err.type = type
 
-    let EXT_REG
-    // 如果本身是base64
-    if (matched) {
-      EXT_REG = /image\/(.*)/
-      imageSrc = matched[1]
-    } else {
-      EXT_REG = /.*\.([a-zA-Z\d]+).*/
+    return err
+  },
+  /**
+   * 请求失败处理：更新状态并触发error事件
+   *
+   * @since 1.3.0
+   *
+   * @async
+   *
+   * @param {ImageLoader} self - 实例自身
+   * @param {Error} err - 错误对象，type属性为失败原因
+   *
+   * @returns {Promise} - 始终reject
+   */
+  fail(self, err) {
+    _actions.complete(self)
+
+    self._logger.log(`image load ${err.type}!`)
+    self._status = err.type
+    self._error = err
+
+    _actions.recordMetrics(self, err.type)
+
+    return self.emit('error', err).then((result) => {
+      return Promise.reject(result)
+    })
+  },
+  /**
+   * 将请求交由调度器排队执行
+   * [注] dataURL格式的图片无需网络请求，不进行排队
+   *
+   * @since 1.3.0
+   *
+   * @async
+   *
+   * @param {ImageLoader} self - 实例自身
+   * @param {string} imageSrc - 图片地址
+   * @param {function} run - 请求函数，返回Promise
+   *
+   * @returns {Promise}
+   */
+  schedule(self, imageSrc, run) {
+    // 启用了性能指标收集时，记录开始排队和开始请求的时间点
+    const metrics = self.$useMetrics && ImageLoader.metrics
+    const timing = self._timing = metrics ? { queuedAt: metrics.now(), startedAt: 0 } : null
+
+    const start = () => {
+      timing && (timing.startedAt = metrics.now())
+
+      return run()
     }
 
-    return imageSrc.replace(EXT_REG, '$1').toLocaleLowerCase()
+    if (BASE64_REG.test(imageSrc)) {
+      return start()
+    }
+
+    self._task = ImageLoader.scheduler.schedule(start, self.$priority)
+    self._task.imageSrc = imageSrc
+
+    return self._task.promise
   },
   /**
-   * 根据图片的后缀获取图片的mime类型
+   * 将实例排队中的请求移出队列
    *
-   * @since 1.2.0
+   * @since 1.3.0
    *
-   * @param {string} ext - 后缀名
+   * @param {ImageLoader} self - 实例自身
    *
-   * @returns {string} - 返回mime类型
+   * @returns {boolean} - 不存在排队中的请求时返回false
    */
-  getMimeType(ext) {
-    const MIME_TYPE = {
-      jpg: 'image/jpeg',
-      jepg: 'image/jpeg',
-      png: 'image/png',
-      webp: 'image/webp',
+  dropTask(self) {
+    const task = self._task
+
+    if (!task) {
+      return false
     }
 
-    return MIME_TYPE[ext]
+    self._task = null
+
+    return ImageLoader.scheduler.drop(task, _actions.createError('abort', task.imageSrc))
   },
   /**
-   * 简易ajax请求封装
+   * 取消实例排队中或进行中的请求
+   * 进行中的请求会立即停止网络请求，其Promise将被reject，错误对象的type属性值为'abort'，且不会触发事件
    *
-   * @since 1.2.0
+   * @since 1.3.0
+   *
+   * @param {ImageLoader} self - 实例自身
+   *
+   * @returns {boolean} - 不存在排队中或进行中的请求时返回false
+   */
+  cancel(self) {
+    const requesting = !!self._token
+    const stopRequest = self._stopRequest
+
+    _actions.dropTask(self)
+
+    self._token = null
+    self._stopRequest = null
+
+    stopRequest && stopRequest()
+
+    return requesting
+  },
+  /**
+   * 开始新的请求：取消上一个请求，并生成新请求的令牌
+   * 只有持有最新令牌的请求才能更新实例状态和触发事件
+   *
+   * @since 1.3.0
+   *
+   * @param {ImageLoader} self - 实例自身
+   *
+   * @returns {object} - 请求令牌
+   */
+  renew(self) {
+    _actions.cancel(self)
+
+    self._token = {}
+
+    return self._token
+  },
+  /**
+   * 请求结束（成功或失败）时，释放请求令牌
+   *
+   * @since 1.3.0
+   *
+   * @param {ImageLoader} self - 实例自身
+   */
+  complete(self) {
+    self._token = null
+    self._stopRequest = null
+  },
+  /**
+   * 异步步骤结束后，确认请求未被取消或被新的请求替代
+   *
+   * @since 1.3.0
    *
    * @async
    *
-   * @param {string} url - 请求链接
-   * @param {string} [method='get'] - 请求方法
-   * @param {string} [type='json'] - 响应结果类型
+   * @param {ImageLoader} self - 实例自身
+   * @param {object} token - 请求令牌
+   * @param {string} imageSrc - 图片地址
+   *
+   * @returns {Promise} - 请求已失效时reject类型为'abort'的错误对象
+   */
+  assertCurrent(self, token, imageSrc) {
+    return token === self._token
+      ? Promise.resolve()
+      : Promise.reject(_actions.createError('abort', imageSrc))
+  },
+  /**
+   * 获取需记录到缓存中的图片元数据，忽略无法获取的值，避免覆盖已缓存的值
+   *
+   * @since 1.3.0
+   *
+   * @param {ImageLoader} self - 实例自身
+   *
+   * @returns {object}
+   */
+  getCacheMeta(self) {
+    const meta = {
+      naturalWidth: self.$naturalWidth,
+      naturalHeight: self.$naturalHeight,
+      mime: self.$mime || _actions.getMimeType(_actions.getExtension(self.$currentSrc)),
+      bytes: self.$size,
+    }
+
+    Object.keys(meta).forEach((key) => {
+      if (meta[key] === undefined || meta[key] === null) {
+        delete meta[key]
+      }
+    })
+
+    return meta
+  },
+  /**
+   * 将请求结果记录到性能指标收集器中
+   * [注] 未启用性能指标收集，或图片地址是dataURL格式时，不做处理
+   *
+   * @since 1.3.0
+   *
+   * @param {ImageLoader} self - 实例自身
+   * @param {string} status - 请求状态：success、fail、timeout
+   * @param {object} [timing={}] - 载入成功时的耗时数据
+   * @param {number} [timing.endedAt] - 图片载入完成（解码前）的时间点，未设置时为当前时间
+   * @param {?number} [timing.decode=null] - 解码耗时，无法测量时为null
+   */
+  recordMetrics(self, status, { endedAt, decode = null } = {}) {
+    const metrics = ImageLoader.metrics
+    const timing = self._timing
+
+    if (!metrics || !timing || BASE64_REG.test(self.$currentSrc)) {
+      return
+    }
+
+    self._timing = null
+
+    const sample = metrics.record({
+      src: self.$currentSrc,
+      status,
+      queuedAt: timing.queuedAt,
+      startedAt: timing.startedAt || timing.queuedAt,
+      endedAt: endedAt || metrics.now(),
+      bytes: self.$size,
+      cached: status === 'success' && self._loaded,
+    })
+
+    sample && (sample.decode = decode)
+  },
+  /**
+   * 启用性能指标收集时，在图片显示前主动解码图片，并测量解码耗时
+   * 未插入文档的image对象在载入完成后通常还未解码，主动解码也可避免显示时在主线程上同步解码
+   * [注] 未启用性能指标收集或不支持`image.decode`时直接resolve null，解码失败时同样resolve null
+   *
+   * @since 1.3.0
+   *
+   * @async
+   *
+   * @param {Image} image - 已载入完成的image对象
+   *
+   * @returns {Promise} - resolve的值为解码耗时，单位：毫秒，无法测量时为null
+   */
+  decodeImage(image) {
+    const metrics = ImageLoader.metrics
+
+    if (!metrics || !image.decode) {
+      return Promise.resolve(null)
+    }
+
+    const decodeStart = metrics.now()
+
+    return image.decode().then(() => {
+      return metrics.now() - decodeStart
+    }, () => {
+      return null
+    })
+  },
+  /**
+   * 从持久化缓存中读取图片数据
+   * [注] 未启用持久化缓存，或图片地址是dataURL、objectURL格式时，直接resolve undefined
+   *
+   * @since 1.3.0
+   *
+   * @async
+   *
+   * @param {string} imageSrc - 图片地址
+   *
+   * @returns {Promise} - resolve的值为Blob，未命中时为undefined
+   */
+  readPersistentCache(imageSrc) {
+    const persistentCache = ImageLoader.persistentCache
+
+    if (!persistentCache || BASE64_REG.test(imageSrc) || OBJECT_URL_REG.test(imageSrc)) {
+      return Promise.resolve()
+    }
+
+    return persistentCache.get(imageSrc).catch(() => {
+      // 读取失败时视为未命中，回退到网络请求
+    })
+  },
+  /**
+   * 将图片数据写入持久化缓存
+   * [注] 未启用持久化缓存时不做处理
+   *
+   * @since 1.3.0
+   *
+   * @param {string} imageSrc - 图片地址
+   * @param {Blob} blob - 图片数据
+   */
+  writePersistentCache(imageSrc, blob) {
+    const persistentCache = ImageLoader.persistentCache
+
+    persistentCache && persistentCache.set(imageSrc, blob)
+  },
+  /**
+   * 判断本次请求的图片数据是否需要写入持久化缓存
+   * 只有读写已下载图片缓存的实例，且请求地址与缓存键相同（即不是附加了防缓存参数的重试地址）时才写入，并可通过`persist`配置项进一步过滤
+   *
+   * @since 1.3.0
+   *
+   * @param {ImageLoader} self - 实例自身
+   * @param {string} imageSrc - 图片地址
+   *
+   * @returns {boolean}
+   */
+  shouldPersist(self, imageSrc) {
+    if (!ImageLoader.persistentCache || !self.$useCache || imageSrc !== self.$cacheKey) {
+      return false
+    }
+
+    return typeof self.$persist === 'function' ? !!self.$persist(imageSrc) : !!self.$persist
+  },
+  /**
+   * 通过image对象载入图片后，在后台以ajax方式获取图片数据并写入持久化缓存（通常会命中浏览器的http缓存，不会重复下载）
+   * 该请求以低优先级交由{@link ImageLoader.scheduler}排队，与图片请求共用最大并发数，并优先让给图片请求
+   * [注] 未启用持久化缓存，或图片地址是dataURL、objectURL格式时不做处理；跨域图片未支持跨域请求时无法获取图片数据，不写入
+   *
+   * @since 1.3.0
+   *
+   * @param {string} imageSrc - 图片地址
+   */
+  cacheImageData(imageSrc) {
+    if (!ImageLoader.persistentCache || BASE64_REG.test(imageSrc) || OBJECT_URL_REG.test(imageSrc)) {
+      return
+    }
+
+    ImageLoader.scheduler.schedule(() => {
+      return _actions.ajax(imageSrc, 'get', 'blob')
+    }, 'low').promise.then((xhr) => {
+      _actions.writePersistentCache(imageSrc, xhr.response)
+    }).catch(() => {
+      // 无法获取图片数据时不写入，不影响图片的显示
+    })
+  },
+  /**
+   * 使用图片数据生成的objectURL载入图片
+   *
+   * @since 1.3.0
+   *
+   * @async
+   *
+   * @param {ImageLoader} self - 实例自身
+   * @param {Blob} blob - 图片数据
+   * @param {number} [width] - 图片显示的宽
+   * @param {number} [height] - 图片显示的高
+   *
+   * @returns {Promise}
+   */
+  loadBlob(self, blob, width, height) {
+    const objectURL = URL.createObjectURL(blob)
+
+    self.$blob = blob
+
+    return _actions.detectType(self, blob).then(() => {
+      return _actions.loadImage(self, objectURL, width, height)
+    }).catch((err) => {
+      // 载入失败时，新生成的objectURL不会被使用
+      if (self._objectURL !== objectURL) {
+        URL.revokeObjectURL(objectURL)
+      }
+
+      return Promise.reject(err)
+    })
+  },
+  /**
+   * 更新实例当前使用的objectURL，并释放上一个objectURL
+   *
+   * @since 1.3.0
+   *
+   * @param {ImageLoader} self - 实例自身
+   * @param {?string} objectURL - 当前使用的objectURL，不使用时为null
+   */
+  setObjectURL(self, objectURL) {
+    if (self._objectURL && self._objectURL !== objectURL) {
+      URL.revokeObjectURL(self._objectURL)
+    }
+
+    self._objectURL = objectURL
+  },
+  /**
+   * 触发下载进度事件
+   *
+   * @since 1.3.0
+   *
+   * @param {ImageLoader} self - 实例自身
+   * @param {number} loaded - 已下载的字节数
+   * @param {number} total - 总字节数，无法获取时为0
+   */
+  progress(self, loaded, total) {
+    self.emit('progress', {
+      loaded,
+      total,
+      percent: total > 0 ? Math.min(loaded / total * 100, 100) : 0,
+    }).catch(() => {
+      // 进度事件处理器的异常不影响图片请求
+    })
+  },
+  /**
+   * 使用image对象载入图片
+   *
+   * @since 1.3.0
+   *
+   * @async
+   *
+   * @param {ImageLoader} self - 实例自身
+   * @param {string} imageSrc - 图片地址
+   * @param {number} [width] - 图片显示的宽
+   * @param {number} [height] - 图片显示的高
    *
    * @returns {Promise}
    */
-  ajax(url, method = 'get', type = 'json') {
+  loadImage(self, imageSrc, width, height) {
     return new Promise((resolve, reject) => {
-      const xhr = new XMLHttpRequest()
-      xhr.open(method, url, true)
-      xhr.responseType = type
+      const image = self.$image = new Image(width, height)
 
-      xhr.addEventListener('load', () => {
-        if (xhr.readyState !== 4 | xhr.status !== 200) {
-          return reject(xhr)
+      let timeouter
+
+      // 请求结束后解绑事件，避免超时或取消后重置地址时再次触发事件
+      const settle = () => {
+        clearTimeout(timeouter)
+        image.removeEventListener('load', loadHandler)
+        image.removeEventListener('error', errorHandler)
+      }
+
+      const loadHandler = () => {
+        settle()
+
+        // 未记录性能指标时无需测量解码耗时，同步更新实例状态和触发事件
+        if (!ImageLoader.metrics || !self._timing) {
+          succeed()
+          return
         }
 
-        resolve(xhr)
-      })
+        const token = self._token
+        const endedAt = ImageLoader.metrics.now()
 
-      xhr.addEventListener('error', (err) => {
-        reject(err)
-      })
+        // 解码完成后再更新实例状态和触发事件，解码期间请求被取消或被新的请求替代时不再处理
+        _actions.decodeImage(image).then((decode) => {
+          token === self._token && succeed({ endedAt, decode })
+        })
+      }
 
-      xhr.send()
+      const succeed = (timing) => {
+        _actions.complete(self)
+
+        self._logger.log('image load successed!')
+        self._status = 'success'
+        self._error = null
+
+        // 图片已切换，释放上一个objectURL
+        _actions.setObjectURL(self, OBJECT_URL_REG.test(imageSrc) ? imageSrc : null)
+
+        // 判断是否已下载过，并记录到缓存中
+        if (self.$useCache) {
+          self._loaded = !!ImageLoader.cache.get(self.$cacheKey)
+          const cacheEntry = ImageLoader.cache.set(self.$cacheKey, _actions.getCacheMeta(self))
+
+          // 首次载入时提取主色，记录到缓存条目中
+          if (self.$color && !cacheEntry.color) {
+            const color = _actions.sampleColor(image)
+
+            color && ImageLoader.cache.set(self.$cacheKey, { color })
+          }
+        } else {
+          self._loaded = false
+        }
+
+        _actions.recordMetrics(self, 'success', timing)
+
+        self.emit('load').then((result) => {
+          resolve(result)
+        }).catch((err) => {
+          reject(err)
+        })
+      }
+
+      const errorHandler = () => {
+        settle()
+
+        _actions.fail(self, _actions.createError('fail', imageSrc)).catch(reject)
+      }
+
+      // // 启用跨域请求
+      // image.crossOrigin = '*'
+
+      image.addEventListener('load', loadHandler)
+      image.addEventListener('error', errorHandler)
+
+      // 请求被取消时，重置图片地址以停止请求
+      self._stopRequest = () => {
+        settle()
+        image.src = ''
+
+        reject(_actions.createError('abort', imageSrc))
+      }
+
+      // 超时后重置图片地址以停止请求
+      if (self.$timeout > 0) {
+        timeouter = setTimeout(() => {
+          settle()
+          image.src = ''
+
+          _actions.fail(self, _actions.createError('timeout', imageSrc)).catch(reject)
+        }, self.$timeout)
+      }
+
+      image.src = imageSrc
     })
   },
   /**
-   * blob转dataURL
+   * 获取图片扩展名
+   * 兼容如下几种图片格式
+   * - base64格式，根据mime类型获取
+   * - 纯固定扩展结尾，会忽略查询参数和hash
+   * - 兼容类似又拍云的图片处理APi，如`path/to/source.jpg!both/100x100`这样的格式
    *
    * @since 1.2.0
    *
-   * @async
+   * @param {string} imageSrc - 图片地址
+   *
+   * @returns {string} - 无法获取时返回空字符串
+   */
+  getExtension(imageSrc) {
+    const matched = imageSrc.match(BASE64_REG)
+
+    // 如果本身是base64
+    if (matched) {
+      return _actions.getExtensionByMimeType(matched[1])
+    }
+
+    // 只取路径的最后一段，如`path/to/source.jpg!both/100x100?v=1` => `source.jpg`
+    const fileName = imageSrc.split(/[?#]/)[0].split('!')[0].split('/').pop()
+    const extMatched = fileName.match(/\.([a-zA-Z\d]+)$/)
+
+    return extMatched ? extMatched[1].toLowerCase() : ''
+  },
+  /**
+   * 根据图片的后缀获取图片的mime类型
+   *
+   * @since 1.2.0
+   *
+   * @param {string} ext - 后缀名
+   *
+   * @returns {string} - 返回mime类型，无法识别时返回undefined
+   */
+  getMimeType(ext) {
+    return ext ? MIME_TYPES[ext.toLowerCase()] : undefined
+  },
+  /**
+   * 根据mime类型获取图片的后缀
+   *
+   * @since 1.3.0
+   *
+   * @param {string} mimeType - mime类型
+   *
+   * @returns {string} - 无法识别时返回空字符串
+   */
+  getExtensionByMimeType(mimeType) {
+    const ext = Object.keys(MIME_TYPES).find((key) => {
+      return MIME_TYPES[key] === mimeType
+    })
+
+    return ext || ''
+  },
+  /**
+   * 根据文件头的魔数识别图片的真实类型
+   *
+   * @since 1.3.0
+   *
+   * @param {Uint8Array} bytes - 文件头字节
+   *
+   * @returns {string} - 返回图片扩展名，无法识别时返回空字符串
+   */
+  sniffExtension(bytes) {
+    const startsWith = (signature, offset = 0) => {
+      return signature.every((byte, index) => {
+        return bytes[offset + index] === byte
+      })
+    }
+
+    const readText = (start, end) => {
+      return String.fromCharCode(...bytes.slice(start, end))
+    }
+
+    if (startsWith([0xFF, 0xD8, 0xFF])) {
+      return 'jpg'
+    }
+
+    if (startsWith([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) {
+      return 'png'
+    }
+
+    if (readText(0, 6) === 'GIF87a' || readText(0, 6) === 'GIF89a') {
+      return 'gif'
+    }
+
+    if (readText(0, 4) === 'RIFF' && readText(8, 12) === 'WEBP') {
+      return 'webp'
+    }
+
+    // ISO BMFF格式，ftyp盒子中的主品牌为avif（静态）或avis（动图）
+    if (readText(4, 8) === 'ftyp' && ['avif', 'avis'].indexOf(readText(8, 12)) >= 0) {
+      return 'avif'
+    }
+
+    if (startsWith([0x42, 0x4D])) {
+      return 'bmp'
+    }
+
+    if (startsWith([0x00, 0x00, 0x01, 0x00])) {
+      return 'ico'
+    }
+
+    // svg为文本格式，文件头中存在svg根节点即可
+    if (/<svg[\s>]/i.test(readText(0, bytes.length))) {
+      return 'svg'
+    }
+
+    return ''
+  },
+  /**
+   * 读取blob的文件头，识别图片的真实类型，并记录到实例上
+   * 读取失败或无法识别时，仍以图片地址的后缀为准
+   *
+   * @since 1.3.0
+   *
+   * @async
+   *
+   * @param {ImageLoader} self - 实例自身
+   * @param {Blob} blob - 图片数据
+   *
+   * @returns {Promise} - 始终resolve，值为识别出的扩展名
+   */
+  detectType(self, blob) {
+    self._sniffedExt = ''
+
+    return new Promise((resolve) => {
+      const fileReader = new FileReader()
+
+      fileReader.addEventListener('load', (event) => {
+        resolve(_actions.sniffExtension(new Uint8Array(event.target.result)))
+      })
+
+      fileReader.addEventListener('error', () => {
+        resolve('')
+      })
+
+      fileReader.readAsArrayBuffer(blob.slice(0, SNIFF_BYTES))
+    }).then((ext) => {
+      // 识别期间已切换了图片数据，则忽略结果
+      if (self.$blob === blob) {
+        self._sniffedExt = ext
+      }
+
+      return ext
+    })
+  },
+  /**
+   * 简易ajax请求封装
+   *
+   * @since 1.2.0
+   *
+   * @async
+   *
+   * @param {string} url - 请求链接
+   * @param {string} [method='get'] - 请求方法
+   * @param {string} [type='json'] - 响应结果类型
+   * @param {number} [timeout=0] - 超时时间，单位：毫秒，0表示不限制，超时后会中止请求并reject类型为'timeout'的错误对象
+   * @param {function} [onProgress] - 下载进度回调，接收原生的progress事件对象
+   *
+   * @returns {Promise} - 可调用Promise上的abort方法中止请求，中止后reject类型为'abort'的错误对象
+   */
+  ajax(url, method = 'get', type = 'json', timeout = 0, onProgress) {
+    const xhr = new XMLHttpRequest()
+
+    const request = new Promise((resolve, reject) => {
+      xhr.open(method, url, true)
+      xhr.responseType = type
+      xhr.timeout = timeout
+
+      onProgress && xhr.addEventListener('progress', onProgress)
+
+      xhr.addEventListener('timeout', () => {
+        reject(_actions.createError('timeout', url))
+      })
+
+      xhr.addEventListener('abort', () => {
+        reject(_actions.createError('abort', url))
+      })
+
+      xhr.addEventListener('load', () => {
+        if (xhr.readyState !== 4 | xhr.status !== 200) {
+          return reject(xhr)
+        }
+
+        resolve(xhr)
+      })
+
+      xhr.addEventListener('error', (err) => {
+        reject(err)
+      })
+
+      xhr.send()
+    })
+
+    request.abort = () => {
+      xhr.abort()
+    }
+
+    return request
+  },
+  /**
+   * blob转dataURL
+   *
+   * @since 1.2.0
+   *
+   * @async
+   *
+   * @param {Blob} blob - blob数据
+   *
+   * @returns {Promise}
+   */
+  blobToDataURL(blob) {
+    return new Promise((resolve, reject) => {
+      const fileReader = new FileReader()
+
+      fileReader.addEventListener('load', (event) => {
+        resolve(event.target.result)
+      })
+
+      fileReader.addEventListener('error', (err) => {
+        reject(err)
+      })
+
+      fileReader.readAsDataURL(blob)
+    })
+  },
+  /**
+   * dataURL转blob
+   *
+   * @since 1.2.0
+   *
+   * @param {string} dataURL - dataURL数据
+   *
+   * @returns {Blob}
+   */
+  dataURLToBlob(dataURL) {
+    const arr = dataURL.split(',')
+
+    const blobStr = atob(arr[1])
+
+    let bLen = blobStr.length
+
+    const u8arr = new Uint8Array(bLen)
+
+    while (bLen--) {
+      u8arr[bLen] = blobStr.charCodeAt(bLen)
+    }
+
+    const mime = arr[0].match(/:(.*?);/)[1]
+
+    return new Blob([u8arr], { type: mime })
+  },
+  /**
+   * canvas 转 dataURL
+   *
+   * @since 1.2.0
+   *
+   * @param {ImageLoader} self - 实例自身
+   * @param {HTMLImageElement} image - image实例
+   * @param {string} [format] - 输出的图片格式，默认保存原图片后缀格式
+   *
+   * @returns {string}
+   */
+  canvasToDataURL(self, image, format) {
+    // 如果图片本身是base64
+    // 如果存在的是$image
+    // 否则进行转换
+    const canvas = _actions.drawCanvas(image, self.$naturalWidth, self.$naturalHeight)
+
+    return canvas.toDataURL(_actions.getOutputMimeType(self, format))
+  },
+  /**
+   * 获取输出的mime类型，未指定格式时保持原图片后缀格式
+   *
+   * @since 1.3.0
+   *
+   * @param {ImageLoader} self - 实例自身
+   * @param {string} [format] - 输出的图片格式
+   *
+   * @returns {string|undefined} - 无法识别时返回undefined，由canvas默认输出png格式
+   */
+  getOutputMimeType(self, format) {
+    return format ? _actions.getMimeType(format) : _actions.getMimeType(self.$ext)
+  },
+  /**
+   * 创建指定尺寸的canvas
+   *
+   * @since 1.3.0
+   *
+   * @param {number} width - 宽
+   * @param {number} height - 高
+   *
+   * @returns {HTMLCanvasElement}
+   */
+  createCanvas(width, height) {
+    const canvas = document.createElement('CANVAS')
+    canvas.width = Math.max(Math.round(width), 1)
+    canvas.height = Math.max(Math.round(height), 1)
+
+    return canvas
+  },
+  /**
+   * 计算输出尺寸及绘制区域
+   * - cover - 保持比例铺满输出尺寸，超出部分居中裁剪
+   * - contain - 保持比例完整显示在输出尺寸内，居中留白（透明）
+   * - fill - 拉伸铺满输出尺寸
+   * 只设置了宽或高时，按原图比例计算另一边，此时三种方式结果一致
+   *
+   * @since 1.3.0
+   *
+   * @param {number} naturalWidth - 原图宽
+   * @param {number} naturalHeight - 原图高
+   * @param {object} [options={}] - 配置选项
+   * @param {number} [options.width] - 输出宽
+   * @param {number} [options.height] - 输出高
+   * @param {string} [options.fit='cover'] - 适应方式：cover、contain、fill
+   *
+   * @returns {object} - 返回`{ width, height, sx, sy, sw, sh, dx, dy, dw, dh }`格式，s开头为原图的裁剪区域，d开头为canvas上的绘制区域
+   */
+  getLayout(naturalWidth, naturalHeight, { width, height, fit = 'cover' } = {}) {
+    if (!width && !height) {
+      width = naturalWidth
+      height = naturalHeight
+    } else if (!height) {
+      height = width * naturalHeight / naturalWidth
+    } else if (!width) {
+      width = height * naturalWidth / naturalHeight
+    }
+
+    const layout = {
+      width,
+      height,
+      sx: 0,
+      sy: 0,
+      sw: naturalWidth,
+      sh: naturalHeight,
+      dx: 0,
+      dy: 0,
+      dw: width,
+      dh: height,
+    }
+
+    if (fit === 'cover') {
+      const scale = Math.max(width / naturalWidth, height / naturalHeight)
+
+      layout.sw = width / scale
+      layout.sh = height / scale
+      layout.sx = (naturalWidth - layout.sw) / 2
+      layout.sy = (naturalHeight - layout.sh) / 2
+    } else if (fit === 'contain') {
+      const scale = Math.min(width / naturalWidth, height / naturalHeight)
+
+      layout.dw = naturalWidth * scale
+      layout.dh = naturalHeight * scale
+      layout.dx = (width - layout.dw) / 2
+      layout.dy = (height - layout.dh) / 2
+    }
+
+    return layout
+  },
+  /**
+   * 将图片绘制到canvas上
+   * 大幅缩小时，逐级减半缩小到接近目标尺寸后再绘制，避免一次性缩小产生的锯齿和摩尔纹
+   *
+   * @since 1.3.0
+   *
+   * @param {HTMLImageElement} image - image实例
+   * @param {number} naturalWidth - 原图宽
+   * @param {number} naturalHeight - 原图高
+   * @param {object} [options={}] - 配置选项，见{@link ImageLoader#toDataURL}
+   *
+   * @returns {HTMLCanvasElement}
+   */
+  drawCanvas(image, naturalWidth, naturalHeight, options = {}) {
+    const { width, height, sx, sy, sw, sh, dx, dy, dw, dh } = _actions.getLayout(naturalWidth, naturalHeight, options)
+
+    let source = image
+    let sourceRect = [sx, sy, sw, sh]
+
+    // 逐级减半缩小
+    if (options.stepDown !== false) {
+      while (sourceRect[2] / 2 >= dw && sourceRect[3] / 2 >= dh) {
+        const stepCanvas = _actions.createCanvas(sourceRect[2] / 2, sourceRect[3] / 2)
+        const stepContext = stepCanvas.getContext('2d')
+
+        stepContext.imageSmoothingQuality = 'high'
+        stepContext.drawImage(source, ...sourceRect, 0, 0, stepCanvas.width, stepCanvas.height)
+
+        source = stepCanvas
+        sourceRect = [0, 0, stepCanvas.width, stepCanvas.height]
+      }
+    }
+
+    const canvas = _actions.createCanvas(width, height)
+    const context = canvas.getContext('2d')
+
+    context.imageSmoothingQuality = 'high'
+    context.drawImage(source, ...sourceRect, dx, dy, dw, dh)
+
+    return canvas
+  },
+  /**
+   * 提取图片的主色
+   * 将图片缩小绘制后，按每个通道的高4位量化分桶，取像素最多的桶的平均色作为主色，忽略半透明以下的像素
+   * [注] 跨域图片未启用跨域请求时canvas会被污染，无法提取
+   *
+   * @since 1.3.0
+   *
+   * @param {HTMLImageElement} image - 已载入的image实例
+   *
+   * @returns {string} - 返回`#rrggbb`格式的颜色值，无法提取时返回空字符串
+   */
+  sampleColor(image) {
+    let data
+
+    try {
+      const canvas = _actions.createCanvas(COLOR_SAMPLE_SIZE, COLOR_SAMPLE_SIZE)
+      const context = canvas.getContext('2d')
+
+      context.drawImage(image, 0, 0, COLOR_SAMPLE_SIZE, COLOR_SAMPLE_SIZE)
+
+      data = context.getImageData(0, 0, COLOR_SAMPLE_SIZE, COLOR_SAMPLE_SIZE).data
+    } catch (err) {
+      return ''
+    }
+
+    const buckets = {}
+
+    let dominant
+
+    for (let index = 0; index < data.length; index += 4) {
+      const [r, g, b, a] = data.slice(index, index + 4)
+
+      if (a < 128) {
+        continue
+      }
+
+      const key = (r >> 4) << 8 | (g >> 4) << 4 | (b >> 4)
+      const bucket = buckets[key] || (buckets[key] = { count: 0, r: 0, g: 0, b: 0 })
+
+      bucket.count++
+      bucket.r += r
+      bucket.g += g
+      bucket.b += b
+
+      if (!dominant || bucket.count > dominant.count) {
+        dominant = bucket
+      }
+    }
+
+    if (!dominant) {
+      return ''
+    }
+
+    return '#' + [dominant.r, dominant.g, dominant.b].map((value) => {
+      return ('0' + Math.round(value / dominant.count).toString(16)).slice(-2)
+    }).join('')
+  },
+  /**
+   * 按配置选项将已载入的图片绘制到canvas上
+   *
+   * @since 1.3.0
+   *
+   * @async
+   *
+   * @param {ImageLoader} self - 实例自身
+   * @param {object} options - 配置选项，见{@link ImageLoader#toDataURL}
+   *
+   * @returns {Promise} - resolve的值为`{ canvas, mimeType }`
+   */
+  render(self, options) {
+    if (!self.$image || !self.$naturalWidth) {
+      return Promise.reject('image resource does not load! please use once (ImageLoader#load) or (ImageLoader#fetch) method.')
+    }
+
+    try {
+      return Promise.resolve({
+        canvas: _actions.drawCanvas(self.$image, self.$naturalWidth, self.$naturalHeight, options),
+        mimeType: _actions.getOutputMimeType(self, options.format),
+      })
+    } catch (err) {
+      return Promise.reject(err)
+    }
+  },
+}
+
+/**
+ * ImaqgeLoader继承自EventQueues类
+ *
+ * @external EventQueues
+ *
+ * @see {@link http://lisfan.github.io/event-queues|EventQueues}
+ */
+
+/**
+ * @description
+ * [注] 继承了EventQueues类，附加的实例方法和属性请至{@link http://lisfan.github.io/event-queues|EventQueues API}文档查看
+ *
+ * @classdesc 图片下载类
+ *
+ * @class
+ * @extends EventQueues
+ */
+class ImageLoader extends EventQueues {
+  /**
+   * 默认配置选项
+   *
+   * @since 1.0.0
+   *
+   * @static
+   * @readonly
+   * @memberOf ImageLoader
+   *
+   * @type {object}
+   * @property {boolean} debug=false - 打印器调试模式是否开启
+   * @property {string} name='ImageLoader' - 打印器名称标记
+   * @property {string|number} priority='normal' - 请求的优先级，可以是优先级等级名称（low、normal、high）或数值，值越大越优先
+   * @property {number} timeout=0 - 请求的超时时间，单位：毫秒，0表示不限制。超时后会停止请求，并触发error事件
+   * @property {boolean} color=false - 是否在图片首次载入成功后提取主色，记录到{@link ImageLoader.cache}缓存条目的color字段上
+   * @property {boolean} useCache=true - 是否读写{@link ImageLoader.cache}，设置为false时载入成功的图片不会记录到缓存中，也不影响缓存的命中统计（如预览图）
+   * @property {boolean} useMetrics=true - 是否将请求记录到{@link ImageLoader.metrics}中，设置为false时不记录（如格式检测的样例图片）
+   * @property {boolean|function} persist=true - 是否将载入成功的图片数据写入{@link ImageLoader.persistentCache}，也可以是接收图片地址、返回布尔值的函数（如不写入占位图片）
+   * @property {?function} getCacheKey=null - 获取图片记录到{@link ImageLoader.cache}时使用的键，接收请求的图片地址，未设置时以图片地址作为键（如重试时附加了防缓存参数的地址仍记录在原图片地址上）
+   */
+  static options = {
+    name: 'ImageLoader',
+    debug: false,
+    priority: 'normal',
+    timeout: 0,
+    color: false,
+    useCache: true,
+    useMetrics: true,
+    persist: true,
+    getCacheKey: null,
+  }
+
+  /**
+   * 所有实例共享的请求调度器，可通过`ImageLoader.scheduler.config({ maxConcurrency })`设置最大并发数
+   *
+   * @since 1.3.0
+   *
+   * @static
+   * @readonly
+   * @memberOf ImageLoader
+   *
+   * @type {LoadScheduler}
+   */
+  static scheduler = new LoadScheduler()
+
+  /**
+   * 所有实例共享的已下载图片缓存，用于判断图片是否已下载过，可通过`ImageLoader.cache.config({ maxSize })`设置最大缓存条目数
+   *
+   * @since 1.3.0
+   *
+   * @static
+   * @readonly
+   * @memberOf ImageLoader
+   *
+   * @type {ImageCache}
+   */
+  static cache = new ImageCache()
+
+  /**
+   * 所有实例共享的持久化缓存，默认不启用
+   * 启用后，载入图片时优先从持久化缓存中读取图片数据，未命中或已过期时才请求网络
+   * [注] 通过{@link ImageLoader#fetch}请求的图片数据在载入成功后写入；通过{@link ImageLoader#load}载入成功后，在后台以ajax方式获取图片数据再写入
+   *
+   * @since 1.3.0
+   *
+   * @static
+   * @memberOf ImageLoader
+   *
+   * @type {?PersistentCache}
+   *
+   * @example
+   * ImageLoader.persistentCache = new PersistentCache({ maxBytes: 100 * 1024 * 1024 })
+   */
+  static persistentCache = null
+
+  /**
+   * 所有实例共享的性能指标收集器，默认不启用
+   * 启用后，每次请求结束时记录排队等待时间、网络耗时、解码耗时、容量大小和是否命中缓存
+   *
+   * @since 1.3.0
+   *
+   * @static
+   * @memberOf ImageLoader
+   *
+   * @type {?ImageMetrics}
+   *
+   * @example
+   * ImageLoader.metrics = new ImageMetrics({ reportInterval: 60000, onReport: send })
+   */
+  static metrics = null
+
+  /**
+   * 更新默认配置选项
+   *
+   * @since 1.0.0
+   *
+   * @see ImageLoader.options
+   *
+   * @param {object} options - 其他配置选项见{@link ImageLoader.options}
+   *
+   * @returns {ImageLoader}
+   */
+  static config(options) {
+    // 以内置配置为优先
+    ImageLoader.options = {
+      ...ImageLoader.options,
+      ...options
+    }
+
+    return this
+  }
+
+  /**
+   * 构造函数
+   *
+   * @see ImageLoader.options
+   *
+   * @param {object} options - 其他配置选项见{@link ImageLoader.options}
+   */
+  constructor(options) {
+    const mergedOptions = {
+      ...ImageLoader.options,
+      ...options
+    }
+
+    super(mergedOptions)
+
+    this._priority = mergedOptions.priority
+    this._timeout = mergedOptions.timeout
+    this._color = mergedOptions.color
+    this._useCache = mergedOptions.useCache
+    this._useMetrics = mergedOptions.useMetrics
+    this._persist = mergedOptions.persist
+    this._getCacheKey = mergedOptions.getCacheKey
+  }
+
+  /**
+   * 存取是否读写已下载图片缓存
+   *
+   * @since 1.3.0
+   *
+   * @private
+   */
+  _useCache = undefined
+
+  /**
+   * 获取是否读写已下载图片缓存
+   *
+   * @since 1.3.0
+   *
+   * @getter
+   * @readonly
+   *
+   * @type {boolean}
+   */
+  get $useCache() {
+    return this._useCache
+  }
+
+  /**
+   * 存取是否记录性能指标
+   *
+   * @since 1.3.0
+   *
+   * @private
+   */
+  _useMetrics = undefined
+
+  /**
+   * 获取是否记录性能指标
+   *
+   * @since 1.3.0
+   *
+   * @getter
+   * @readonly
+   *
+   * @type {boolean}
+   */
+  get $useMetrics() {
+    return this._useMetrics
+  }
+
+  /**
+   * 存取是否写入持久化缓存
+   *
+   * @since 1.3.0
+   *
+   * @private
+   */
+  _persist = undefined
+
+  /**
+   * 获取是否写入持久化缓存
+   *
+   * @since 1.3.0
+   *
+   * @getter
+   * @readonly
+   *
+   * @type {boolean|function}
+   */
+  get $persist() {
+    return this._persist
+  }
+
+  /**
+   * 存取获取缓存键的函数
+   *
+   * @since 1.3.0
+   *
+   * @private
+   */
+  _getCacheKey = undefined
+
+  /**
+   * 存取当前请求的缓存键
+   *
+   * @since 1.3.0
+   *
+   * @private
+   */
+  _cacheKey = undefined
+
+  /**
+   * 获取当前请求记录到{@link ImageLoader.cache}时使用的键，未设置`getCacheKey`配置项时与{@link ImageLoader#$currentSrc}相同
+   *
+   * @since 1.3.0
+   *
+   * @getter
+   * @readonly
+   *
+   * @type {string}
+   */
+  get $cacheKey() {
+    return this._cacheKey
+  }
+
+  /**
+   * 存取是否提取图片主色
    *
-   * @param {Blob} blob - blob数据
+   * @since 1.3.0
    *
-   * @returns {Promise}
+   * @private
    */
-  blobToDataURL(blob) {
-    return new Promise((resolve, reject) => {
-      const fileReader = new FileReader()
-
-      fileReader.addEventListener('load', (event) => {
-        resolve(event.target.result)
-      })
-
-      fileReader.addEventListener('error', (err) => {
-        reject(err)
-      })
+  _color = undefined
 
-      fileReader.readAsDataURL(blob)
-    })
-  },
   /**
-   * dataURL转blob
+   * 获取是否提取图片主色
    *
-   * @since 1.2.0
+   * @since 1.3.0
    *
-   * @param {string} dataURL - dataURL数据
+   * @getter
+   * @readonly
    *
-   * @returns {Blob}
+   * @type {boolean}
    */
-  dataURLToBlob(dataURL) {
-    const arr = dataURL.split(',')
-
-    const blobStr = atob(arr[1])
-
-    let bLen = blobStr.length
-
-    const u8arr = new Uint8Array(bLen)
-
-    while (bLen--) {
-      u8arr[bLen] = blobStr.charCodeAt(bLen)
-    }
+  get $color() {
+    return this._color
+  }
 
-    const mime = arr[0].match(/:(.*?);/)[1]
+  /**
+   * 存取请求的超时时间
+   *
+   * @since 1.3.0
+   *
+   * @private
+   */
+  _timeout = undefined
 
-    return new Blob([u8arr], { type: mime })
-  },
   /**
-   * canvas 转 dataURL
+   * 获取请求的超时时间
    *
-   * @since 1.2.0
+   * @since 1.3.0
    *
-   * @param {ImageLoader} self - 实例自身
-   * @param {HTMLImageElement} image - image实例
-   * @param {string} [format] - 输出的图片格式，默认保存原图片后缀格式
+   * @getter
+   * @readonly
    *
-   * @returns {string}
+   * @type {number}
    */
-  canvasToDataURL(self, image, format) {
-    // 如果图片本身是base64
-    // 如果存在的是$image
-    // 否则进行转换
-    let canvas = document.createElement('CANVAS')
-    canvas.width = self.$naturalWidth
-    canvas.height = self.$naturalHeight
-
-    const context = canvas.getContext('2d')
-    context.drawImage(image, 0, 0)
-
-    const mimeType = format ? _actions.getMimeType(format) : _actions.getMimeType(self.$ext)
-
-    return canvas.toDataURL(mimeType)
+  get $timeout() {
+    return this._timeout
   }
-}
 
-/**
- * ImaqgeLoader继承自EventQueues类
- *
- * @external EventQueues
- *
- * @see {@link http://lisfan.github.io/event-queues|EventQueues}
- */
+  /**
+   * 存取最近一次请求失败的错误对象
+   *
+   * @since 1.3.0
+   *
+   * @private
+   */
+  _error = undefined
 
-/**
- * @description
- * [注] 继承了EventQueues类，附加的实例方法和属性请至{@link http://lisfan.github.io/event-queues|EventQueues API}文档查看
- *
- * @classdesc 图片下载类
- *
- * @class
- * @extends EventQueues
- */
-class ImageLoader extends EventQueues {
   /**
-   * 默认配置选项
+   * 获取最近一次请求失败的错误对象，可通过错误对象的type属性区分失败原因（fail、timeout、abort）
+   * 请求成功后将被重置为null
    *
-   * @since 1.0.0
+   * @since 1.3.0
    *
-   * @static
+   * @getter
    * @readonly
-   * @memberOf ImageLoader
    *
-   * @type {object}
-   * @property {boolean} debug=false - 打印器调试模式是否开启
-   * @property {string} name='ImageLoader' - 打印器名称标记
+   * @type {?Error}
    */
-  static options = {
-    name: 'ImageLoader',
-    debug: false,
+  get $error() {
+    return this._error
   }
 
   /**
-   * 更新默认配置选项
+   * 当前请求的令牌，请求结束或被取消后重置为null
    *
-   * @since 1.0.0
+   * @since 1.3.0
    *
-   * @see ImageLoader.options
+   * @private
+   */
+  _token = null
+
+  /**
+   * 停止进行中的网络请求的函数
    *
-   * @param {object} options - 其他配置选项见{@link ImageLoader.options}
+   * @since 1.3.0
    *
-   * @returns {ImageLoader}
+   * @private
    */
-  static config(options) {
-    // 以内置配置为优先
-    ImageLoader.options = {
-      ...ImageLoader.options,
-      ...options
-    }
+  _stopRequest = null
 
-    return this
-  }
+  /**
+   * 当前请求的时间点记录，启用性能指标收集时有效
+   *
+   * @since 1.3.0
+   *
+   * @private
+   */
+  _timing = null
 
   /**
-   * 构造函数
+   * 调度器中排队中的任务
    *
-   * @see ImageLoader.options
+   * @since 1.3.0
    *
-   * @param {object} options - 其他配置选项见{@link ImageLoader.options}
+   * @private
    */
-  constructor(options) {
-    super({
-      ...ImageLoader.options,
-      ...options
-    })
+  _task = undefined
+
+  /**
+   * 存取请求的优先级
+   *
+   * @since 1.3.0
+   *
+   * @private
+   */
+  _priority = undefined
+
+  /**
+   * 获取请求的优先级
+   *
+   * @since 1.3.0
+   *
+   * @getter
+   * @readonly
+   *
+   * @type {string|number}
+   */
+  get $priority() {
+    return this._priority
   }
 
   /**
@@ -267,6 +1435,30 @@ class ImageLoader extends EventQueues {
    */
   $image = undefined
 
+  /**
+   * 存取实例当前使用的objectURL
+   *
+   * @since 1.3.0
+   *
+   * @private
+   */
+  _objectURL = null
+
+  /**
+   * 获取以图片数据（从持久化缓存中读取或通过{@link ImageLoader#fetch}请求到的）载入时所生成的objectURL，显示图片时应优先使用该地址，避免再次请求网络
+   * 图片不是从持久化缓存中读取时为null
+   *
+   * @since 1.3.0
+   *
+   * @getter
+   * @readonly
+   *
+   * @type {?string}
+   */
+  get $objectURL() {
+    return this._objectURL
+  }
+
   /**
    * fetch方法执行时绑定的blob对象
    *
@@ -326,7 +1518,7 @@ class ImageLoader extends EventQueues {
   _status = undefined
 
   /**
-   * 获取image实例对应图片的下载是否成功状态值
+   * 获取image实例对应图片的下载是否成功状态值：success、fail、timeout、abort
    * [注] 请确保在是在调用{@link ImageLoader#load}或{@link ImageLoader#fetch}实例方法后调用该属性
    *
    * @since 1.2.2
@@ -350,7 +1542,7 @@ class ImageLoader extends EventQueues {
   _loaded = undefined
 
   /**
-   * 获取image实例对应图片是否已下载过
+   * 获取image实例对应图片是否已下载过，以{@link ImageLoader.cache}中是否存在缓存条目为准
    *
    * @since 1.2.2
    *
@@ -423,8 +1615,18 @@ class ImageLoader extends EventQueues {
     return this.$image && this.$image.naturalHeight
   }
 
+  /**
+   * 存取由文件头识别出的图片扩展名
+   *
+   * @since 1.3.0
+   *
+   * @private
+   */
+  _sniffedExt = ''
+
   /**
    * 获取当前文件扩展名
+   * 存在图片数据时（{@link ImageLoader#fetch}或持久化缓存命中），以文件头识别出的真实类型为准，否则根据图片地址的后缀获取
    * [注] 请确保在是在调用{@link ImageLoader#load}或{@link ImageLoader#fetch}实例方法后调用该属性
    *
    * @since 1.0.0
@@ -435,11 +1637,12 @@ class ImageLoader extends EventQueues {
    * @type {string}
    */
   get $ext() {
-    return this.$image && _actions.getExtension(this.$currentSrc)
+    return this._sniffedExt || (this.$image && _actions.getExtension(this.$currentSrc))
   }
 
   /**
    * 获取当前文件的mime类型
+   * 以文件头识别出的真实类型为准，无法识别时使用响应的类型
    * 仅在调用{@link ImageLoader#fetch}方法时有效
    *
    * @since 1.0.0
@@ -450,7 +1653,7 @@ class ImageLoader extends EventQueues {
    * @type {string}
    */
   get $mime() {
-    return this.$blob && this.$blob.type
+    return this.$blob && (_actions.getMimeType(this._sniffedExt) || this.$blob.type)
   }
 
   /**
@@ -470,6 +1673,9 @@ class ImageLoader extends EventQueues {
 
   /**
    * 载入图片
+   * 启用持久化缓存且命中时，使用缓存的图片数据载入，此时{@link ImageLoader#$mime}和{@link ImageLoader#$size}同样有效
+   * 启用持久化缓存且未命中时，载入成功后会在后台以ajax方式获取图片数据并写入持久化缓存
+   * [注] 同一实例再次请求时，上一个排队中或进行中的请求将被取消，只有最后一次请求会更新实例状态和触发事件
    *
    * @since 1.0.0
    *
@@ -482,54 +1688,41 @@ class ImageLoader extends EventQueues {
    * @returns {Promise}
    */
   load(imageSrc = '', width, height) {
-    return new Promise((resolve, reject) => {
-      if (!_actions.isSameResource(this, imageSrc)) {
-        this.$blob = null
-      }
-
-      this._currentSrc = imageSrc
-
-      this.$image = new Image(width, height)
+    if (!_actions.isSameResource(this, imageSrc)) {
+      this.$blob = null
+      this._sniffedExt = ''
+    }
 
-      // // 启用跨域请求
-      // this.$image.crossOrigin = '*'
+    this._currentSrc = imageSrc
+    this._cacheKey = this._getCacheKey ? this._getCacheKey(imageSrc) : imageSrc
 
-      this.$image.addEventListener('load', () => {
-        this._logger.log('image load successed!')
-        this._status = 'success'
+    const token = _actions.renew(this)
+    const persist = _actions.shouldPersist(this, imageSrc)
 
-        if (loadedImageList.indexOf(this.$currentSrc) >= 0) {
-          this._loaded = true
-        } else {
-          this._loaded = false
-          loadedImageList.push(this.$currentSrc)
+    return _actions.schedule(this, imageSrc, () => {
+      return _actions.readPersistentCache(imageSrc).then((blob) => {
+        return _actions.assertCurrent(this, token, imageSrc).then(() => blob)
+      }).then((blob) => {
+        if (blob) {
+          return _actions.loadBlob(this, blob, width, height)
         }
 
-        this.emit('load').then((result) => {
-          resolve(result)
-        }).catch((err) => {
-          reject(err)
-        })
-      })
-
-      this.$image.addEventListener('error', () => {
-        this._logger.log('image load failed!')
-        this._status = 'fail'
+        return _actions.loadImage(this, imageSrc, width, height).then((result) => {
+          persist && _actions.cacheImageData(imageSrc)
 
-        this.emit('error').then((result) => {
-          reject(result)
-        }).catch((err) => {
-          reject(err)
+          return result
         })
       })
-
-      this.$image.src = imageSrc
     })
   }
 
   /**
    * 以ajax方式获取图片资源，该方式获取的资源可以统计资源的容量大小
    * 此时，可以取实例上的{@link ImageLoader#$mime}和{@link ImageLoader#$size}两个实例属性
+   * 下载过程中会触发progress事件，事件处理器接收`{ loaded, total, percent }`格式的进度对象，percent的取值范围为0~100，无法获取总字节数时total和percent为0
+   * 启用持久化缓存时，优先使用缓存的图片数据，未命中时请求到的图片数据在载入成功后写入持久化缓存
+   * 请求到的图片数据以objectURL载入，显示图片时应使用{@link ImageLoader#$objectURL}
+   * 同一实例再次请求时，上一个排队中或进行中的请求将被取消（包括进行中的ajax请求）
    * [注] 若图片地址是dataURL格式，则直接返回dataURL，且{@link ImageLoader#$size}对应的是dataURL的容量大小（并不是原图片的容量大小）
    *
    * @since 1.0.0
@@ -541,54 +1734,164 @@ class ImageLoader extends EventQueues {
    * @returns {Promise}
    */
   fetch(imageSrc = '') {
-    // 如果已经是base64格式
-    return new Promise((resolve, reject) => {
-      if (!_actions.isSameResource(this, imageSrc)) {
-        this.$image = null
-      }
+    if (!_actions.isSameResource(this, imageSrc)) {
+      this.$image = null
+      this._sniffedExt = ''
+    }
 
-      this._currentSrc = imageSrc
+    this._currentSrc = imageSrc
+    this._cacheKey = this._getCacheKey ? this._getCacheKey(imageSrc) : imageSrc
 
-      const matched = imageSrc.match(BASE64_REG)
+    const token = _actions.renew(this)
+    const persist = _actions.shouldPersist(this, imageSrc)
 
-      // 如果本身是base64
-      if (matched) {
-        this.$blob = _actions.dataURLToBlob(imageSrc)
-        return this.load(imageSrc).then((result) => {
-          resolve(result)
-        }).catch((err) => {
-          reject(err)
+    const matched = imageSrc.match(BASE64_REG)
+
+    // 如果本身是base64
+    if (matched) {
+      this.$blob = _actions.dataURLToBlob(imageSrc)
+      _actions.progress(this, this.$blob.size, this.$blob.size)
+
+      return _actions.detectType(this, this.$blob).then(() => {
+        return _actions.loadImage(this, imageSrc)
+      })
+    }
+
+    // 请求资源和载入图片作为同一个任务排队，避免载入图片时重复排队
+    return _actions.schedule(this, imageSrc, () => {
+      return _actions.readPersistentCache(imageSrc).then((blob) => {
+        return _actions.assertCurrent(this, token, imageSrc).then(() => blob)
+      }).then((blob) => {
+        if (blob) {
+          _actions.progress(this, blob.size, blob.size)
+
+          return _actions.loadBlob(this, blob)
+        }
+
+        const request = _actions.ajax(imageSrc, 'get', 'blob', this.$timeout, (event) => {
+          _actions.progress(this, event.loaded, event.lengthComputable ? event.total : 0)
         })
-      }
 
-      return _actions.ajax(imageSrc, 'get', 'blob').then((result) => {
-        this.$blob = result.response
+        this._stopRequest = request.abort
 
-        this.load(imageSrc).then((loadResult) => {
-          resolve(loadResult)
-        }).catch((err) => {
-          reject(err)
+        return request.then((result) => {
+          const blob = result.response
+
+          // 使用已下载的图片数据生成的objectURL载入，不再通过图片地址重复请求（同时以文件头识别图片的真实类型）
+          return _actions.loadBlob(this, blob).then((result) => {
+            // 确认是可用的图片数据后再写入
+            persist && _actions.writePersistentCache(imageSrc, blob)
+
+            return result
+          })
+        }, (err) => {
+          // 被取消的请求不触发事件
+          if (err && err.type === 'abort') {
+            return Promise.reject(err)
+          }
+
+          return _actions.fail(this, err && err.type === 'timeout' ? err : _actions.createError('fail', imageSrc))
         })
+      })
+    })
+  }
 
-        // if (loadedImageList.indexOf(this.$currentSrc) >= 0) {
-        //   this._loaded = true
-        // } else {
-        //   this._loaded = false
-        //   loadedImageList.push(this.$currentSrc)
-        // }
-
-        // this.emit('load').then((result) => {
-        //   resolve(result)
-        // }).catch((err) => {
-        //   reject(err)
-        // })
-      }).catch((err) => {
-        reject(err)
-        // this.emit('error').then((result) => {
-        //   reject(result)
-        // }).catch((err) => {
-        //   reject(err)
-        // })
+  /**
+   * 设置请求的优先级，若存在排队中的请求，则同时调整其优先级
+   *
+   * @since 1.3.0
+   *
+   * @param {string|number} priority - 优先级，可以是优先级等级名称（low、normal、high）或数值，值越大越优先
+   *
+   * @returns {ImageLoader}
+   */
+  setPriority(priority) {
+    this._priority = priority
+
+    ImageLoader.scheduler.reprioritize(this._task, priority)
+
+    return this
+  }
+
+  /**
+   * 取消排队中或进行中的请求，进行中的image或ajax请求会被立即停止
+   * 请求的Promise将被reject，错误对象的type属性值为'abort'，且不会触发load或error事件
+   *
+   * @since 1.3.0
+   *
+   * @returns {boolean} - 不存在排队中或进行中的请求时返回false
+   */
+  abort() {
+    const aborted = _actions.cancel(this)
+
+    if (aborted) {
+      this._logger.log('image load aborted!')
+      this._status = 'abort'
+      this._error = _actions.createError('abort', this.$currentSrc)
+    }
+
+    return aborted
+  }
+
+  /**
+   * 释放实例占用的objectURL，实例不再使用时调用
+   *
+   * @since 1.3.0
+   *
+   * @returns {ImageLoader}
+   */
+  release() {
+    _actions.setObjectURL(this, null)
+
+    return this
+  }
+
+  /**
+   * 将已载入的图片缩放、裁剪并重新编码后输出dataURL
+   * [注] 跨域图片需服务端支持跨域请求，否则canvas被污染而无法导出
+   *
+   * @since 1.3.0
+   *
+   * @async
+   *
+   * @param {object} [options={}] - 配置选项
+   * @param {number} [options.width] - 输出宽，单位：px，未设置宽高时为原图尺寸，只设置了宽或高时按原图比例计算另一边
+   * @param {number} [options.height] - 输出高，单位：px
+   * @param {string} [options.fit='cover'] - 同时设置了宽高时的适应方式：cover（居中裁剪）、contain（完整显示，居中留白）、fill（拉伸）
+   * @param {number} [options.quality] - 输出质量，取值范围为0~1，仅对jpg、webp格式有效
+   * @param {string} [options.format] - 输出的图片格式，如'jpg'、'png'、'webp'，默认保存原图片后缀格式
+   * @param {boolean} [options.stepDown=true] - 大幅缩小时是否逐级减半缩小，以获得更好的缩小质量
+   *
+   * @returns {Promise} - resolve的值为dataURL
+   */
+  toDataURL(options = {}) {
+    return _actions.render(this, options).then(({ canvas, mimeType }) => {
+      return canvas.toDataURL(mimeType, options.quality)
+    })
+  }
+
+  /**
+   * 将已载入的图片缩放、裁剪并重新编码后输出Blob，配置选项与{@link ImageLoader#toDataURL}一致
+   *
+   * @since 1.3.0
+   *
+   * @async
+   *
+   * @param {object} [options={}] - 配置选项，见{@link ImageLoader#toDataURL}
+   *
+   * @returns {Promise} - resolve的值为Blob
+   */
+  toBlob(options = {}) {
+    return _actions.render(this, options).then(({ canvas, mimeType }) => {
+      // 不支持canvas.toBlob时，降级为由dataURL转换
+      if (!canvas.toBlob) {
+        return _actions.dataURLToBlob(canvas.toDataURL(mimeType, options.quality))
+      }
+
+      return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => {
+          blob ? resolve(blob) : reject(new Error('canvas to blob failed!'))
+        }, mimeType, options.quality)
       })
     })
   }
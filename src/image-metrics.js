@@ -0,0 +1,448 @@
+/**
+ * @file 图片性能指标收集器
+ *
+ * 记录每次图片请求的排队等待时间、网络耗时、解码耗时、容量大小、是否命中缓存及是否使用了占位图片，并计算p50/p95等聚合指标
+ * [注] 网络耗时和非ajax请求时的容量大小来自Resource Timing条目，跨域图片未设置`Timing-Allow-Origin`响应头时可能无法获取
+ */
+
+// 私有方法
+const _actions = {
+  /**
+   * 获取当前时间戳，优先使用高精度时间
+   *
+   * @since 1.3.0
+   *
+   * @returns {number} - 单位：毫秒
+   */
+  now() {
+    return typeof performance !== 'undefined' && performance.now
+      ? performance.now()
+      : Date.now()
+  },
+  /**
+   * 解析图片地址为绝对地址
+   *
+   * @since 1.3.0
+   *
+   * @param {string} src - 图片地址
+   *
+   * @returns {?URL} - 解析失败时返回null
+   */
+  parseURL(src) {
+    try {
+      return new URL(src, typeof document !== 'undefined' ? document.baseURI : undefined)
+    } catch (err) {
+      return null
+    }
+  },
+  /**
+   * 查找图片地址对应的最近一条Resource Timing条目
+   *
+   * @since 1.3.0
+   *
+   * @param {string} href - 图片的绝对地址
+   *
+   * @returns {?PerformanceResourceTiming}
+   */
+  findResourceTiming(href) {
+    if (typeof performance === 'undefined' || !performance.getEntriesByName) {
+      return null
+    }
+
+    const entries = performance.getEntriesByName(href, 'resource')
+
+    return entries.length ? entries[entries.length - 1] : null
+  },
+  /**
+   * 计算百分位数（最近秩法）
+   *
+   * @since 1.3.0
+   *
+   * @param {number[]} sortedValues - 升序排列的数值列表
+   * @param {number} percent - 百分位，取值范围为0~100
+   *
+   * @returns {?number} - 列表为空时返回null
+   */
+  percentile(sortedValues, percent) {
+    if (!sortedValues.length) {
+      return null
+    }
+
+    const rank = Math.max(Math.ceil(percent / 100 * sortedValues.length), 1)
+
+    return sortedValues[rank - 1]
+  },
+  /**
+   * 汇总样本中某个字段的分布，忽略无法获取的值
+   *
+   * @since 1.3.0
+   *
+   * @param {object[]} samples - 样本列表
+   * @param {string} key - 字段名
+   *
+   * @returns {object} - 返回`{ count, p50, p95 }`格式
+   */
+  summarize(samples, key) {
+    const values = samples.map((sample) => {
+      return sample[key]
+    }).filter((value) => {
+      return typeof value === 'number'
+    }).sort((a, b) => {
+      return a - b
+    })
+
+    return {
+      count: values.length,
+      p50: _actions.percentile(values, 50),
+      p95: _actions.percentile(values, 95),
+    }
+  },
+  /**
+   * 计算比率
+   *
+   * @since 1.3.0
+   *
+   * @param {number} count - 数量
+   * @param {number} total - 总数
+   *
+   * @returns {number} - 总数为0时返回0
+   */
+  rate(count, total) {
+    return total > 0 ? count / total : 0
+  },
+  /**
+   * 启动定时上报
+   *
+   * @since 1.3.0
+   *
+   * @param {ImageMetrics} self - 实例自身
+   */
+  startReport(self) {
+    if (!self.$reportInterval || typeof self.$options.onReport !== 'function') {
+      return
+    }
+
+    self._reportTimer = setInterval(() => {
+      self.report()
+    }, self.$reportInterval)
+  },
+}
+
+/**
+ * @classdesc 图片性能指标收集器，通过`ImageLoader.metrics`连接到所有的图片请求
+ * 超出最大样本数时淘汰最早的样本，聚合指标基于保留的样本计算
+ *
+ * @class
+ */
+class ImageMetrics {
+  /**
+   * 默认配置选项
+   *
+   * @since 1.3.0
+   *
+   * @static
+   * @readonly
+   * @memberOf ImageMetrics
+   *
+   * @type {object}
+   * @property {number} maxSamples=1000 - 最大保留的样本数
+   * @property {number} reportInterval=0 - 定时上报的间隔时间，单位：毫秒，0表示不定时上报
+   * @property {?function} onReport=null - 上报回调，接收{@link ImageMetrics#getMetrics}的聚合指标，并附加`samples`字段为上次上报之后新增的样本列表
+   */
+  static options = {
+    maxSamples: 1000,
+    reportInterval: 0,
+    onReport: null,
+  }
+
+  /**
+   * 构造函数
+   *
+   * @see ImageMetrics.options
+   *
+   * @param {object} [options] - 配置选项见{@link ImageMetrics.options}
+   */
+  constructor(options) {
+    this.$options = {
+      ...ImageMetrics.options,
+      ...options
+    }
+
+    _actions.startReport(this)
+  }
+
+  /**
+   * 样本列表
+   *
+   * @since 1.3.0
+   *
+   * @private
+   */
+  _samples = []
+
+  /**
+   * 上次上报之后新增的样本列表
+   *
+   * @since 1.3.0
+   *
+   * @private
+   */
+  _pendingSamples = []
+
+  /**
+   * 定时上报的计时器
+   *
+   * @since 1.3.0
+   *
+   * @private
+   */
+  _reportTimer = null
+
+  /**
+   * 实例初始配置项
+   *
+   * @since 1.3.0
+   *
+   * @readonly
+   *
+   * @type {object}
+   */
+  $options = undefined
+
+  /**
+   * 获取最大保留的样本数
+   *
+   * @since 1.3.0
+   *
+   * @getter
+   *
+   * @type {number}
+   */
+  get $maxSamples() {
+    return this.$options.maxSamples
+  }
+
+  /**
+   * 获取定时上报的间隔时间
+   *
+   * @since 1.3.0
+   *
+   * @getter
+   *
+   * @type {number}
+   */
+  get $reportInterval() {
+    return this.$options.reportInterval
+  }
+
+  /**
+   * 获取当前保留的样本数
+   *
+   * @since 1.3.0
+   *
+   * @getter
+   *
+   * @type {number}
+   */
+  get $size() {
+    return this._samples.length
+  }
+
+  /**
+   * 获取当前时间戳，用于记录请求各阶段的时间点，与样本中的耗时计算方式一致
+   *
+   * @since 1.3.0
+   *
+   * @returns {number} - 单位：毫秒
+   */
+  now() {
+    return _actions.now()
+  }
+
+  /**
+   * 记录一次图片请求
+   * 会根据图片地址匹配Resource Timing条目，补充网络耗时和容量大小
+   *
+   * @since 1.3.0
+   *
+   * @param {object} record - 请求记录
+   * @param {string} record.src - 图片地址
+   * @param {string} record.status - 请求状态：success、fail、timeout
+   * @param {number} record.queuedAt - 开始排队的时间点
+   * @param {number} record.startedAt - 开始请求的时间点
+   * @param {number} record.endedAt - 请求结束的时间点
+   * @param {?number} [record.bytes] - 容量大小，单位：字节
+   * @param {boolean} [record.cached=false] - 是否命中已下载图片缓存
+   *
+   * @returns {?object} - 记录的样本，图片地址无法解析时返回null
+   */
+  record({ src, status, queuedAt, startedAt, endedAt, bytes = null, cached = false }) {
+    const url = _actions.parseURL(src)
+
+    if (!url) {
+      return null
+    }
+
+    const resource = _actions.findResourceTiming(url.href)
+
+    const sample = {
+      src,
+      host: url.host,
+      status,
+      queueWait: Math.max(startedAt - queuedAt, 0),
+      duration: Math.max(endedAt - startedAt, 0),
+      network: resource ? resource.responseEnd - resource.startTime : null,
+      decode: null,
+      bytes: bytes || (resource && resource.encodedBodySize) || null,
+      cached: !!cached,
+      fallback: false,
+      timestamp: Date.now(),
+    }
+
+    this._samples.push(sample)
+    this._pendingSamples.push(sample)
+
+    // 超出最大样本数时淘汰最早的样本
+    if (this._samples.length > this.$maxSamples) {
+      this._samples.splice(0, this._samples.length - this.$maxSamples)
+    }
+
+    if (this._pendingSamples.length > this.$maxSamples) {
+      this._pendingSamples.splice(0, this._pendingSamples.length - this.$maxSamples)
+    }
+
+    return sample
+  }
+
+  /**
+   * 将图片地址最近一次失败的请求标记为使用了占位图片
+   *
+   * @since 1.3.0
+   *
+   * @param {string} src - 图片地址
+   *
+   * @returns {ImageMetrics}
+   */
+  markFallback(src) {
+    for (let index = this._samples.length - 1; index >= 0; index--) {
+      const sample = this._samples[index]
+
+      if (sample.src === src) {
+        sample.status !== 'success' && (sample.fallback = true)
+        break
+      }
+    }
+
+    return this
+  }
+
+  /**
+   * 获取聚合指标
+   * 耗时和容量的分布为`{ count, p50, p95 }`格式，count为可获取到该值的样本数
+   *
+   * @since 1.3.0
+   *
+   * @returns {object} - 返回`{ count, failures, failureRate, cacheHitRate, fallbacks, queueWait, network, decode, duration, bytes, hosts }`格式，hosts为按域名统计的`{ count, failures, failureRate }`
+   */
+  getMetrics() {
+    const samples = this._samples
+    const hosts = {}
+
+    let failures = 0
+    let cacheHits = 0
+    let fallbacks = 0
+
+    samples.forEach((sample) => {
+      const host = hosts[sample.host] || (hosts[sample.host] = { count: 0, failures: 0, failureRate: 0 })
+      const failed = sample.status !== 'success'
+
+      host.count++
+
+      if (failed) {
+        host.failures++
+        failures++
+      }
+
+      sample.cached && cacheHits++
+      sample.fallback && fallbacks++
+    })
+
+    Object.values(hosts).forEach((host) => {
+      host.failureRate = _actions.rate(host.failures, host.count)
+    })
+
+    return {
+      count: samples.length,
+      failures,
+      failureRate: _actions.rate(failures, samples.length),
+      cacheHitRate: _actions.rate(cacheHits, samples.length),
+      fallbacks,
+      queueWait: _actions.summarize(samples, 'queueWait'),
+      network: _actions.summarize(samples, 'network'),
+      decode: _actions.summarize(samples, 'decode'),
+      duration: _actions.summarize(samples, 'duration'),
+      bytes: _actions.summarize(samples, 'bytes'),
+      hosts,
+    }
+  }
+
+  /**
+   * 立即上报：调用onReport回调，上次上报之后没有新增样本时不上报
+   *
+   * @since 1.3.0
+   *
+   * @returns {ImageMetrics}
+   */
+  report() {
+    const onReport = this.$options.onReport
+
+    if (typeof onReport !== 'function' || !this._pendingSamples.length) {
+      return this
+    }
+
+    const samples = this._pendingSamples
+
+    this._pendingSamples = []
+
+    try {
+      onReport({
+        ...this.getMetrics(),
+        samples,
+      })
+    } catch (err) {
+      // 上报回调的异常不影响指标收集
+    }
+
+    return this
+  }
+
+  /**
+   * 清空所有样本
+   *
+   * @since 1.3.0
+   *
+   * @returns {ImageMetrics}
+   */
+  clear() {
+    this._samples = []
+    this._pendingSamples = []
+
+    return this
+  }
+
+  /**
+   * 停止定时上报
+   *
+   * @since 1.3.0
+   *
+   * @returns {ImageMetrics}
+   */
+  destroy() {
+    clearInterval(this._reportTimer)
+    this._reportTimer = null
+
+    return this
+  }
+}
+
+export default ImageMetrics
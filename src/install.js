@@ -3,40 +3,219 @@
  */
 
 import validation from '@~lisfan/validation'
+import Logger from '@~lisfan/logger'
 import VueLogger from '@~lisfan/vue-logger'
 
 import ImageElementShell from './image-element-shell'
+import ImageLoader from './image-loader'
+import PersistentCache from './persistent-cache'
+import ImageMetrics from './image-metrics'
+import { createImageLoaderComponent } from './image-loader-component'
+import { registerTransformer, getTransformer } from './url-transformer'
+import { detectFormats, getBestFormat } from './format-detector'
+import { preload } from './preloader'
+import { parseSize } from './utils/size'
 
 const PLUGIN_TYPE = 'directive'  // 插件类型
 const DIRECTIVE_NAMESPACE = 'image-loader' // 指令名称
+const COMPONENT_NAME = 'image-loader' // 组件名称
+const SSR_MARKER = 'ssr' // 服务端渲染的元素上指令标识的值
+
+// 指令对象值各字段的校验规则
+const VALUE_RULES = {
+  src: validation.isString,
+  placeholder: validation.isString,
+  loadingPlaceholder: validation.isString,
+  width: (value) => validation.isString(value) || validation.isFinite(value),
+  height: (value) => validation.isString(value) || validation.isFinite(value),
+  animation: validation.isString,
+  force: (value) => typeof value === 'boolean',
+  lazy: (value) => typeof value === 'boolean',
+}
 
 // 私有方法
 const _actions = {
   /**
-   * 计算宽高值
+   * 判断是否是vue3的应用实例
+   *
+   * @since 1.3.0
+   *
+   * @param {Vue|object} Vue - VUE类或vue3的应用实例
+   *
+   * @returns {boolean}
+   */
+  isVue3(Vue) {
+    return parseInt(Vue.version, 10) >= 3
+  },
+  /**
+   * 创建指令钩子中使用的日志打印器
+   * vue3的指令对象上存在instance属性，且不存在vnode.context，@~lisfan/vue-logger无法使用，降级为普通的日志打印器
    *
-   * @since 1.2.0
+   * @since 1.3.0
    *
+   * @param {object} options - 配置选项
+   * @param {string} options.name - 日志打印器命名空间
+   * @param {boolean} options.debug - 打印器调试模式是否开启
    * @param {object} binding - 指令对象
-   * @param {number} remRatio - rem与px的比例，默认值为100，表示1rem=100px
+   * @param {VNode} vnode - Vue节点对象
+   *
+   * @returns {Logger|VueLogger}
+   */
+  createLogger({ name, debug }, binding, vnode) {
+    return 'instance' in binding
+      ? new Logger({ name, debug })
+      : new VueLogger({ name, debug, vm: vnode.context })
+  },
+  /**
+   * 将vue2的指令钩子映射为vue3的指令钩子
+   * vue3的beforeUnmount钩子执行时元素仍在文档中，映射为执行移除动效的beforeUnbind钩子
+   *
+   * @since 1.3.0
+   *
+   * @param {object} directive - vue2格式的指令定义对象
    *
    * @returns {object}
    */
-  getSize(binding, remRatio) {
-    // 获取自定义高宽值
-    let sizeList = binding.arg
-      ? binding.arg.split('x')
-      : []
+  toVue3Directive({ bind, update, beforeUnbind, unbind, getSSRProps }) {
+    return {
+      mounted: bind,
+      updated: update,
+      beforeUnmount: beforeUnbind,
+      unmounted: unbind,
+      getSSRProps,
+    }
+  },
+  /**
+   * 判断是否是纯粹的对象（字面量对象）
+   *
+   * @since 1.3.0
+   *
+   * @param {*} value - 判断值
+   *
+   * @returns {boolean}
+   */
+  isPlainObject(value) {
+    return Object.prototype.toString.call(value) === '[object Object]'
+  },
+  /**
+   * 判断是否运行在浏览器环境中
+   *
+   * @since 1.3.0
+   *
+   * @returns {boolean}
+   */
+  isBrowser() {
+    return typeof window !== 'undefined' && typeof document !== 'undefined'
+  },
+  /**
+   * 规范化指令值，字符串值视为动效样式（旧写法），对象值会逐个校验字段，不合法的字段会被忽略
+   *
+   * @since 1.3.0
+   *
+   * @param {string|object} value - 指令值
+   * @param {Logger|VueLogger} [logger] - 日志打印器，调试模式下会打印校验警告
+   *
+   * @returns {object} - 只包含合法字段的对象
+   */
+  normalizeValue(value, logger) {
+    if (!_actions.isPlainObject(value)) {
+      if (value && !validation.isString(value)) {
+        logger && logger.log('directive value should be a string or an object, ignored:', value)
+      }
+
+      return value ? { animation: value } : {}
+    }
 
-    // 只截取前两个的值
-    let [width, height] = sizeList.slice(0, 2)
+    const options = {}
+
+    Object.entries(value).forEach(([key, fieldValue]) => {
+      const rule = VALUE_RULES[key]
+
+      if (!rule) {
+        logger && logger.log(`directive value field "${key}" is unknown, ignored!`)
+        return
+      }
+
+      // 未设置的字段使用旧写法或全局配置
+      if (fieldValue === undefined || fieldValue === null) {
+        return
+      }
+
+      if (!rule(fieldValue)) {
+        logger && logger.log(`directive value field "${key}" is invalid, ignored:`, fieldValue)
+        return
+      }
 
-    // 高不存在时则同样的宽值
-    height = height || width
+      options[key] = fieldValue
+    })
+
+    return options
+  },
+  /**
+   * 获取指令值中的字段，字段不存在时使用默认值
+   *
+   * @since 1.3.0
+   *
+   * @param {object} value - 规范化后的指令值
+   * @param {string} key - 字段名
+   * @param {*} defaultValue - 默认值
+   *
+   * @returns {*}
+   */
+  getValueField(value, key, defaultValue) {
+    return key in value ? value[key] : defaultValue
+  },
+  /**
+   * 获取目标元素的宽高值，指令值的width、height字段优先于指令参数
+   * 数值（或数值字符串）与指令参数一样会转换为rem单位，其他字符串视为带单位的值直接使用；只设置了宽度时，高度等同于宽度
+   *
+   * @since 1.3.0
+   *
+   * @param {string} [arg] - 指令参数
+   * @param {object} value - 规范化后的指令值
+   * @param {number} remRatio - rem与px的比例
+   *
+   * @returns {object} - 返回`{ width, height }`格式，未指定尺寸时均为空字符串
+   */
+  getSize(arg, value, remRatio) {
+    if (!('width' in value)) {
+      return parseSize(arg, remRatio)
+    }
+
+    const toSize = (size) => {
+      return size === '' || isNaN(Number(size)) ? size : (size / remRatio) + 'rem'
+    }
+
+    return {
+      width: toSize(value.width),
+      height: toSize(_actions.getValueField(value, 'height', value.width)),
+    }
+  },
+  /**
+   * 获取服务端渲染时元素需设置的属性和样式，包括指令标识
+   *
+   * @since 1.3.0
+   *
+   * @param {string} [tag] - 元素标签名，未知时只输出宽高样式和指令标识
+   * @param {object} binding - 指令对象
+   * @param {string} [originSrc] - 原节点图片地址
+   * @param {number} remRatio - rem与px的比例
+   *
+   * @returns {object} - 返回`{ attrs, style }`格式
+   */
+  getSSRProps(tag, binding, originSrc, remRatio) {
+    const { attrs, style } = ImageElementShell.getSSRProps({
+      tag,
+      originSrc: originSrc || '',
+      ..._actions.getSize(binding.arg, _actions.normalizeValue(binding.value), remRatio),
+    })
 
     return {
-      width: (width / remRatio ) + 'rem',
-      height: (height / remRatio ) + 'rem',
+      attrs: {
+        ...attrs,
+        [`v-${DIRECTIVE_NAMESPACE}`]: SSR_MARKER,
+      },
+      style,
     }
   },
   /**
@@ -58,9 +237,103 @@ const _actions = {
 
     return placeholderImage
   },
+  /**
+   * 获取元素上的数值属性，属性不存在或非数值时使用默认值
+   *
+   * @since 1.3.0
+   *
+   * @param {Element} $el - 目标dom元素
+   * @param {string} name - 属性名
+   * @param {number} defaultValue - 默认值
+   *
+   * @returns {number}
+   */
+  getNumberAttribute($el, name, defaultValue) {
+    const value = parseFloat($el.getAttribute(name))
+
+    return validation.isFinite(value) ? value : defaultValue
+  },
+  /**
+   * 获取请求的优先级
+   * 优先级依次为：元素的`image-priority`属性、`.eager`或`.low`修饰符、全局配置
+   *
+   * @since 1.3.0
+   *
+   * @param {Element} $el - 目标dom元素
+   * @param {object} binding - 指令对象
+   * @param {string|number} priority - 全局配置的优先级
+   *
+   * @returns {string|number}
+   */
+  getPriority($el, binding, priority) {
+    const elementPriority = $el.getAttribute('image-priority')
+
+    if (elementPriority) {
+      return isNaN(Number(elementPriority)) ? elementPriority : Number(elementPriority)
+    }
+
+    if (binding.modifiers.eager) {
+      return 'high'
+    }
+
+    if (binding.modifiers.low) {
+      return 'low'
+    }
+
+    return priority
+  },
+  /**
+   * 获取期望输出的图片格式，若为'auto'，则按优先级协商出浏览器支持的最佳格式
+   * [注] 协商格式时，请确保格式支持检测已完成
+   *
+   * @since 1.3.0
+   *
+   * @param {string} format - 图片格式
+   * @param {string[]} formats - 自动协商时的格式优先级列表
+   *
+   * @returns {string}
+   */
+  getFormat(format, formats) {
+    return format === 'auto'
+      ? getBestFormat(formats)
+      : format
+  },
 }
 
 export default {
+  /**
+   * 已下载图片缓存，即{@link ImageLoader.cache}，可用于查询或清空缓存（如用户退出登录时）
+   *
+   * @since 1.3.0
+   *
+   * @type {ImageCache}
+   */
+  cache: ImageLoader.cache,
+  /**
+   * 创建vue2服务端渲染使用的指令，需在创建渲染器时传入
+   * 如`createRenderer({ directives: { 'image-loader': VueImageLoader.createSSRDirective({ remRatio: 100 }) } })`
+   * [注] vue3无需配置，服务端渲染时会通过指令的getSSRProps钩子渲染
+   *
+   * @since 1.3.0
+   *
+   * @param {object} [options={}] - 配置选项
+   * @param {number} [options.remRatio=100] - rem与px的比例，需与注册插件时的配置一致
+   *
+   * @returns {function}
+   */
+  createSSRDirective({ remRatio = 100 } = {}) {
+    return (vnode, binding) => {
+      const data = vnode.data || (vnode.data = {})
+      const { attrs, style } = _actions.getSSRProps(vnode.tag, binding, data.attrs && data.attrs.src, remRatio)
+
+      data.attrs = {
+        ...data.attrs,
+        ...attrs,
+      }
+
+      data.style = [].concat(data.style || [], style)
+    }
+  },
   /**
    * 图片加载器注册函数
    *
@@ -68,7 +341,7 @@ export default {
    *
    * @function install
    *
-   * @param {Vue} Vue - VUE类
+   * @param {Vue|object} Vue - VUE类，或vue3中`createApp`创建的应用实例（通过`app.use`注册）
    * @param {object} [options={}] - 配置选项
    * @param {string} [options.name='directive-image-loader'] - 日志打印器命名空间
    * @param {boolean} [options.debug=false] - 打印器调试模式是否开启
@@ -79,6 +352,30 @@ export default {
    * @param {number} [options.animationClassName=''] - 动效的样式类
    * @param {boolean} [options.animate=true] - 是否启用动效载入，全局性动效开关，比如为了部分机型，可能会关闭动效的展示
    * @param {boolean} [options.force=false] - 是否强制开启每次指令绑定或更新进行动效展示。若关闭，则图片只在初次加载成功进行特效载入，之后不进行特效加载
+   * @param {boolean} [options.lazy=false] - 是否全局启用懒加载，元素进入视口时才请求图片
+   * @param {string} [options.rootMargin='0px'] - 懒加载时视口的外边距，如设置为'200px'可在元素距离视口200px时提前请求图片
+   * @param {number} [options.threshold=0] - 懒加载时元素的可见比例达到该阈值才认为进入视口
+   * @param {string|function} [options.transformer=''] - 全局使用的图片地址转换器，可以是内置的转换器名称（upyun、qiniu、oss）、自定义注册的转换器名称或转换函数
+   * @param {object} [options.transformers={}] - 注册自定义的图片地址转换器，key名为转换器名称，值为转换函数，转换函数接收`{ src, width, height, dpr, format }`，返回最终的图片地址
+   * @param {string} [options.format=''] - 全局期望输出的图片格式，交由图片地址转换器处理，如'webp'，未设置地址转换器时不生效。设置为'auto'时，会检测浏览器支持的图片格式，自动协商出最佳格式
+   * @param {string[]} [options.formats=['avif', 'webp']] - 自动协商图片格式时的优先级列表
+   * @param {number} [options.maxConcurrency=6] - 同时请求图片的最大并发数，超出的请求将按优先级排队，设置为Infinity时不限制
+   * @param {string|number} [options.priority='normal'] - 全局请求的优先级，可以是优先级等级名称（low、normal、high）或数值
+   * @param {number} [options.retries=0] - 真实图片请求失败时的重试次数，重试均失败后才使用占位图片
+   * @param {number} [options.retryDelay=1000] - 首次重试前的延迟时间，单位：毫秒
+   * @param {number} [options.retryBackoff=2] - 重试延迟时间的指数退避倍数
+   * @param {number} [options.timeout=0] - 单次请求的超时时间，单位：毫秒，0表示不限制。超时将视为请求失败，使用加载失败的占位图片
+   * @param {number} [options.cacheSize=500] - 已下载图片缓存的最大条目数，超出时按最近最少使用淘汰
+   * @param {boolean} [options.fetch=false] - 是否全局以ajax方式请求真实图片，启用后可获取下载进度（需服务端支持跨域请求）
+   * @param {string} [options.preview=''] - 全局预览图设置，设置为'auto'时由地址转换器生成缩略图，在真实图片载入完成前模糊显示
+   * @param {boolean|object} [options.persistentCache=false] - 是否启用基于IndexedDB的持久化缓存，离线时仍可显示已缓存的图片。设置为对象时作为配置选项，见{@link PersistentCache.options}
+   * @param {boolean} [options.color=false] - 是否全局启用主色模式，图片首次载入成功后提取主色，再次绑定该图片时（如列表重新渲染、返回上一页），在载入完成前以主色填充元素
+   * @param {boolean|object} [options.metrics=false] - 是否启用图片性能指标收集，设置为对象时作为配置选项（如定时上报的`reportInterval`和`onReport`），见{@link ImageMetrics.options}
+   * @param {function} [options.beforeLoad] - 全局钩子，请求图片前调用（重新挑选srcset图片时同样调用，可通过上下文的reason区分），接收上下文对象，返回false时取消请求，返回字符串时替换请求的图片地址（如A/B测试改写地址）
+   * @param {function} [options.onLoad] - 全局钩子，真实图片载入成功时调用，接收上下文对象
+   * @param {function} [options.onError] - 全局钩子，真实图片所有重试均失败时调用，接收上下文对象（如上报监控系统）
+   * @param {function} [options.onFallback] - 全局钩子，显示了加载失败的占位图片时调用，接收上下文对象
+   * @param {function} [options.h] - vue3中渲染image-loader组件所需的h函数（即`import { h } from 'vue'`），vue3中未传入时不注册组件，vue2无需传入
    */
   install(Vue, {
     name = `${PLUGIN_TYPE}-${DIRECTIVE_NAMESPACE}`,
@@ -90,13 +387,182 @@ export default {
     animationClassName = ImageElementShell.options.animationClassName,
     animate = ImageElementShell.options.animate,
     force = ImageElementShell.options.force,
+    lazy = ImageElementShell.options.lazy,
+    rootMargin = ImageElementShell.options.rootMargin,
+    threshold = ImageElementShell.options.threshold,
+    transformer = '',
+    transformers = {},
+    format = ImageElementShell.options.format,
+    formats = ['avif', 'webp'],
+    maxConcurrency = ImageLoader.scheduler.$maxConcurrency,
+    priority = ImageElementShell.options.priority,
+    retries = ImageElementShell.options.retries,
+    retryDelay = ImageElementShell.options.retryDelay,
+    retryBackoff = ImageElementShell.options.retryBackoff,
+    timeout = ImageElementShell.options.timeout,
+    cacheSize = ImageLoader.cache.$maxSize,
+    fetch = ImageElementShell.options.fetch,
+    preview = '',
+    persistentCache = false,
+    color = ImageElementShell.options.color,
+    metrics = false,
+    beforeLoad = null,
+    onLoad = null,
+    onError = null,
+    onFallback = null,
+    h = null,
   } = {}) {
+    // 设置所有图片请求共享的最大并发数
+    ImageLoader.scheduler.config({ maxConcurrency })
+
+    // 设置已下载图片缓存的最大条目数
+    ImageLoader.cache.config({ maxSize: cacheSize })
+
+    // 启用持久化缓存
+    if (persistentCache) {
+      ImageLoader.persistentCache = new PersistentCache(_actions.isPlainObject(persistentCache) ? persistentCache : {})
+    }
+
+    // 启用性能指标收集（服务端渲染时不收集）
+    if (metrics && _actions.isBrowser()) {
+      ImageLoader.metrics && ImageLoader.metrics.destroy()
+      ImageLoader.metrics = new ImageMetrics(_actions.isPlainObject(metrics) ? metrics : {})
+    }
+
+    /**
+     * vue实例上的图片加载器对象
+     *
+     * @since 1.3.0
+     *
+     * @name $imageLoader
+     * @type {object}
+     * @property {ImageCache} cache - 已下载图片缓存
+     * @property {?PersistentCache} persistentCache - 持久化缓存，未启用时为null
+     * @property {?ImageMetrics} metrics - 性能指标收集器，可通过`metrics.getMetrics()`获取聚合指标，未启用时为null
+     * @property {function} preload - 预加载图片，接收`(urls, { concurrency, priority, timeout, onProgress })`，未设置timeout时使用全局配置，见{@link preload}
+     */
+    const $imageLoader = {
+      cache: ImageLoader.cache,
+      persistentCache: ImageLoader.persistentCache,
+      metrics: ImageLoader.metrics,
+      preload(urls, options) {
+        return preload(urls, {
+          timeout,
+          ...options,
+        })
+      },
+    }
+
+    const isVue3 = _actions.isVue3(Vue)
+
+    isVue3
+      ? Vue.config.globalProperties.$imageLoader = $imageLoader
+      : Vue.prototype.$imageLoader = $imageLoader
+
+    // 需自动协商图片格式时，提前进行格式支持检测（服务端渲染时不进行检测）
+    if (format === 'auto' && _actions.isBrowser()) {
+      detectFormats()
+    }
+
+    // 注册自定义的图片地址转换器
+    Object.entries(transformers).forEach(([transformerName, transform]) => {
+      registerTransformer(transformerName, transform)
+    })
+
+    // 指令和组件共用的ImageElementShell全局配置
+    const shellOptions = {
+      loadingDelay,
+      animate,
+      force,
+      lazy,
+      rootMargin,
+      threshold,
+      priority,
+      retries,
+      retryDelay,
+      retryBackoff,
+      timeout,
+      fetch,
+      color,
+      beforeLoad,
+      onLoad,
+      onError,
+      onFallback,
+    }
+
+    /**
+     * vue组件：image-loader
+     * 载入中、加载失败和载入成功的状态可分别通过loading、error、default作用域插槽渲染
+     * [注] vue3中需传入h配置项才会注册
+     * 插槽接收`{ src, status, naturalWidth, naturalHeight, error, retry }`，retry为重新请求图片的函数
+     * 载入成功时触发load事件，接收`{ src, naturalWidth, naturalHeight }`；所有重试均失败后触发error事件，接收错误对象
+     *
+     * @since 1.3.0
+     *
+     * @name image-loader
+     *
+     * @property {string} [src=''] - 请求图片地址
+     * @property {string} [placeholder=''] - 加载失败时的占位图片地址，也可以是全局配置的占位图片名称
+     * @property {string} [size=''] - 图片尺寸，格式与指令参数一致，如`300x400`
+     * @property {string} [animation=''] - 动效的样式类
+     */
+    if (isVue3 && !h) {
+      new Logger({ name, debug }).log(`component "${COMPONENT_NAME}" is not registered, because option "h" is not provided in vue3!`)
+    } else {
+      Vue.component(COMPONENT_NAME, createImageLoaderComponent({
+        name: `component-${COMPONENT_NAME}`,
+        debug,
+        remRatio,
+        placeholders,
+        animationClassName,
+        transformer: getTransformer(transformer) || null,
+        format,
+        formats,
+        shellOptions,
+        h,
+      }))
+    }
+
+    /**
+     * 获取可随指令值更新的ImageElementShell配置项（包括占位颜色属性）
+     * 优先级依次为：指令值的字段、元素属性、指令参数或修饰符、全局配置
+     *
+     * @since 1.3.0
+     *
+     * @ignore
+     *
+     * @param {Element} $el - 目标dom元素
+     * @param {object} binding - 指令对象
+     * @param {object} value - 规范化后的指令值
+     *
+     * @returns {object}
+     */
+    const getBindingOptions = ($el, binding, value) => {
+      return {
+        ..._actions.getSize(binding.arg, value, remRatio),
+        placeholder: 'placeholder' in value
+          ? placeholders[value.placeholder] || value.placeholder
+          : $el.getAttribute('placeholder') || _actions.getPlaceholder(binding, placeholders) || '',
+        loadingPlaceholder: _actions.getValueField(value, 'loadingPlaceholder', $el.getAttribute('loading-placeholder') || loadingPlaceholder || ''),
+        animationClassName: value.animation || animationClassName || '',
+        force: _actions.getValueField(value, 'force', binding.modifiers.force || force),
+        placeholderColor: $el.getAttribute('placeholder-color') || '',
+      }
+    }
+
     /**
      * vue指令：image-loader
      * 该指令会从元素节点属性上读取以下值
      * - src - 读取原图片值，如果设置了该值，则loading-placeholder的设置将无效（为了应对一些场景而设立）
      * - image-src - 设置了图片'真正'需要加载的图片
+     * - image-srcset - 设置了多个候选图片，语法与原生`srcset`属性一致，会根据设备像素比和元素的渲染宽度挑选最合适的图片
+     * - image-transformer - 设置了该元素使用的图片地址转换器名称，会覆盖全局配置
+     * - image-format - 设置了该元素期望输出的图片格式，会覆盖全局配置，设置为'auto'时自动协商
+     * - image-priority - 设置了该元素请求的优先级，会覆盖修饰符和全局配置
+     * - image-retries、image-retry-delay、image-retry-backoff - 设置了该元素请求失败时的重试配置，会覆盖全局配置
+     * - image-timeout - 设置了该元素单次请求的超时时间，会覆盖全局配置
      * - loading-placeholder - 设置了图片加载中的占位图片
+     * - placeholder-color - 设置了图片载入完成前填充元素的占位颜色（如服务端已知的图片主色），优先于`.color`模式提取的主色
      * - placeholder - 设置了当图片加载失败时，使用的占位图片。也可以不设置该值，而是通过读取指令的modifiers进行快捷指定全局配置的占用图片
      *
      * @since 1.2.0
@@ -104,13 +570,26 @@ export default {
      * @function image-loader
      *
      * @param {string} [arg=false] - 参数图片宽度尺寸
-     * @param {string} [value=false] - 动效样式
+     * @param {string|object} [value=false] - 动效样式，或对象形式的配置（响应式，字段优先于参数、修饰符和元素属性）
+     * @param {string} [value.src] - 请求图片地址，同`image-src`属性
+     * @param {string} [value.placeholder] - 加载失败时的占位图片地址，也可以是全局配置的占位图片名称
+     * @param {string} [value.loadingPlaceholder] - 载入中占位图片地址，同`loading-placeholder`属性
+     * @param {number|string} [value.width] - 宽度值，数值会与指令参数一样转换为rem单位，也可以是带单位的字符串
+     * @param {number|string} [value.height] - 高度值，未设置时等同于宽度值
+     * @param {string} [value.animation] - 动效样式
+     * @param {boolean} [value.force] - 是否强制每次图片更新都进行动效展示
+     * @param {boolean} [value.lazy] - 是否启用懒加载，只在初次绑定时生效
      * @param {object} [modifiers] - 修饰符对象，除了force值外，其他值都将当成占位符的快捷指定
      * @param {boolean} [modifiers.debug=false] - 是否启用单独启用调试日志
      * @param {boolean} [modifiers.animate=false] - 是否启用单独启用动效
      * @param {boolean} [modifiers.force=false] - 是否启用启用单独启用强制重新进行动效展示修饰符
+     * @param {boolean} [modifiers.lazy=false] - 是否单独启用懒加载
+     * @param {boolean} [modifiers.eager=false] - 是否以高优先级请求，同时会忽略懒加载
+     * @param {boolean} [modifiers.low=false] - 是否以低优先级请求
+     * @param {boolean} [modifiers.fetch=false] - 是否以ajax方式请求，以获取下载进度
+     * @param {boolean} [modifiers.color=false] - 是否单独启用主色模式
      */
-    Vue.directive(DIRECTIVE_NAMESPACE, {
+    const directive = {
       /**
        * 初始化绑定
        *
@@ -123,50 +602,88 @@ export default {
        * @param {VNode} vnode - Vue节点对象
        */
       bind($el, binding, vnode) {
+        // 服务端渲染的元素已存在指令标识、透明图片和宽高样式，直接沿用，激活时不改动dom
+        const hydrate = $el.getAttribute(`v-${DIRECTIVE_NAMESPACE}`) === SSR_MARKER
+
         // 在目标节点上绑定该指令标识
-        $el.setAttribute(`v-${DIRECTIVE_NAMESPACE}`, '')
+        hydrate || $el.setAttribute(`v-${DIRECTIVE_NAMESPACE}`, '')
+
+        // 记录最新的指令对象，在下一帧创建实例时读取
+        $el._shellBinding = binding
 
-        const vueLogger = new VueLogger({
+        // 每次绑定生成新的令牌，元素被复用（如keep-alive）再次绑定时，以最新的绑定为准
+        const bindToken = $el._shellBindToken = {}
+
+        const vueLogger = _actions.createLogger({
           name,
           debug: binding.modifiers.debug || debug,
-          vm: vnode.context,
-        })
+        }, binding, vnode)
 
         vueLogger.log('emit bind hook!')
 
         // 因需要获取$el的属性，所以必须放在下一帧dom刷新才可以获取到样式
-        Vue.nextTick().then(() => {
+        // vue3的mounted钩子执行时，元素已插入文档
+        const nextTick = isVue3 ? Promise.resolve() : Vue.nextTick()
 
-          // 设置目标元素的高宽
-          const { width, height } = _actions.getSize(binding, remRatio)
+        nextTick.then(() => {
+          // 需自动协商图片格式时，等待格式支持检测完成
+          if (($el.getAttribute('image-format') || format) === 'auto') {
+            return detectFormats()
+          }
+        }).then(() => {
+          // 在下一帧之前指令已被解绑或再次绑定，则不再处理
+          if ($el._shellBindToken !== bindToken) {
+            return
+          }
+
+          // 读取最新的指令对象，下一帧之前指令值可能已更新
+          const latestBinding = $el._shellBinding
+          const value = _actions.normalizeValue(latestBinding.value, vueLogger)
 
           const shell = new ImageElementShell({
+            ...shellOptions,
+            ...getBindingOptions($el, latestBinding, value),
             debug: vueLogger.$debug,
             name: vueLogger.$name,
             el: $el,
-            width: width || '',
-            height: height || '',
             originSrc: $el.getAttribute('src') || '',
-            placeholder: $el.getAttribute('placeholder') || _actions.getPlaceholder(binding, placeholders) || '',
-            loadingPlaceholder: $el.getAttribute('loading-placeholder') || loadingPlaceholder || '',
-            loadingDelay,
             originClassName: $el.getAttribute('class') || '',
-            animationClassName: binding.value || animationClassName || '',
+            // vue3的指令对象上通过instance属性获取组件实例
+            vm: 'instance' in binding ? binding.instance : vnode.context,
             animate: binding.modifiers.animate || animate,
-            force: binding.modifiers.force || force,
+            lazy: !binding.modifiers.eager && _actions.getValueField(value, 'lazy', binding.modifiers.lazy || lazy),
+            transformer: getTransformer($el.getAttribute('image-transformer') || transformer) || null,
+            format: _actions.getFormat($el.getAttribute('image-format') || format, formats),
+            priority: _actions.getPriority($el, binding, priority),
+            retries: _actions.getNumberAttribute($el, 'image-retries', retries),
+            retryDelay: _actions.getNumberAttribute($el, 'image-retry-delay', retryDelay),
+            retryBackoff: _actions.getNumberAttribute($el, 'image-retry-backoff', retryBackoff),
+            timeout: _actions.getNumberAttribute($el, 'image-timeout', timeout),
+            fetch: binding.modifiers.fetch || fetch,
+            color: binding.modifiers.color || color,
+            hydrate,
           })
 
-          const actualSrc = $el.getAttribute('image-src') || ''
+          const actualSrc = _actions.getValueField(value, 'src', $el.getAttribute('image-src') || '')
+          const srcset = $el.getAttribute('image-srcset') || ''
+          const previewSrc = $el.getAttribute('image-preview') || preview
+
+          let loading
 
-          if (validation.isEmpty(actualSrc)) {
+          if (validation.isEmpty(actualSrc) && validation.isEmpty(srcset)) {
             // 若不存在真实图片地址，请求空白图片占位
             vueLogger.log('image src no existed, request placeholder image resource!')
-            shell.load(shell.$placeholder)
+            loading = shell.load(shell.$placeholder)
           } else {
             // 若存在真实图片地址，请求空白图片占位
             vueLogger.log('image src existed, request image resource!')
-            shell.load(actualSrc)
+            loading = shell.load(actualSrc, srcset, previewSrc)
           }
+
+          // 请求失败时已使用占位图片，指令中无需再处理
+          loading.catch((err) => {
+            vueLogger.log('image load failed:', err)
+          })
         })
       },
       /**
@@ -181,21 +698,37 @@ export default {
        * @param {VNode} vnode - Vue节点对象
        */
       update($el, binding, vnode) {
-        const vueLogger = new VueLogger({
+        const vueLogger = _actions.createLogger({
           name,
           debug: binding.modifiers.debug || debug,
-          vm: vnode.context,
-        })
+        }, binding, vnode)
 
         vueLogger.log('emit update hook!')
 
+        // 记录最新的指令对象
+        $el._shellBinding = binding
+
         // 获取绑定在节点上的shell实例
         const shell = $el._shell
 
-        const actualSrc = $el.getAttribute('image-src') || ''
+        // 实例还未在下一帧创建时，不进行处理（创建时会读取最新的图片地址和指令值）
+        if (!shell) {
+          return
+        }
+
+        const value = _actions.normalizeValue(binding.value, vueLogger)
+
+        // 对象形式的指令值是响应式的，同步更新占位图片、动效和宽高配置
+        // 元素被复用时（如未设置key的列表）占位颜色属性可能已变化，需同步更新
+        shell.config(_actions.isPlainObject(binding.value)
+          ? getBindingOptions($el, binding, value)
+          : { placeholderColor: $el.getAttribute('placeholder-color') || '' })
+
+        const actualSrc = _actions.getValueField(value, 'src', $el.getAttribute('image-src') || '')
+        const srcset = $el.getAttribute('image-srcset') || ''
 
         // 当图片地址未变化时，则不进行处理
-        if (shell.$actualSrc === actualSrc) {
+        if (shell.$src === actualSrc && shell.$srcset === srcset) {
           return
         }
 
@@ -203,8 +736,97 @@ export default {
         // 若强制启用了动效，则每次图片显示，都会执行动效
         vueLogger.log('image src updated, request image resource!')
 
-        shell.load(actualSrc)
-      }
-    })
+        shell.load(actualSrc, srcset, $el.getAttribute('image-preview') || preview).catch((err) => {
+          vueLogger.log('image load failed:', err)
+        })
+      },
+      /**
+       * 指令解绑前（仅vue3），元素仍在文档中，先执行图片的移除动效，动效结束后再销毁实例
+       *
+       * @since 1.3.0
+       *
+       * @ignore
+       *
+       * @param {element} $el - 目标dom元素
+       * @param {object} binding - 指令对象
+       * @param {VNode} vnode - Vue节点对象
+       */
+      beforeUnbind($el, binding, vnode) {
+        const vueLogger = _actions.createLogger({
+          name,
+          debug: binding.modifiers.debug || debug,
+        }, binding, vnode)
+
+        vueLogger.log('emit beforeUnbind hook!')
+
+        const shell = $el._shell
+
+        if (!shell) {
+          return
+        }
+
+        // 从元素上解除实例，由移除动效结束后销毁，unbind钩子中不再直接销毁
+        delete $el._shell
+
+        shell.leave().then(() => {
+          shell.destroy()
+        })
+      },
+      /**
+       * 指令解绑
+       *
+       * @since 1.3.0
+       *
+       * @ignore
+       *
+       * @param {element} $el - 目标dom元素
+       * @param {object} binding - 指令对象
+       * @param {VNode} vnode - Vue节点对象
+       */
+      unbind($el, binding, vnode) {
+        const vueLogger = _actions.createLogger({
+          name,
+          debug: binding.modifiers.debug || debug,
+        }, binding, vnode)
+
+        vueLogger.log('emit unbind hook!')
+
+        // 清除绑定令牌，避免下一帧再创建实例
+        $el._shellBindToken = null
+
+        $el.removeAttribute(`v-${DIRECTIVE_NAMESPACE}`)
+
+        // vue2在执行unbind钩子前元素已脱离文档，移除动效不可见，直接销毁实例
+        // vue3已在beforeUnbind钩子中执行移除动效，此时元素上已不存在实例
+        $el._shell && $el._shell.destroy()
+      },
+      /**
+       * vue3服务端渲染时，输出与客户端一致的透明图片、宽高样式和指令标识
+       * [注] 编译后的服务端渲染代码（ssrGetDirectiveProps）调用时vnode为null，此时无法得知标签名，只输出宽高样式和指令标识
+       *
+       * @since 1.3.0
+       *
+       * @ignore
+       *
+       * @param {object} binding - 指令对象
+       * @param {?VNode} vnode - Vue节点对象
+       *
+       * @returns {object}
+       */
+      getSSRProps(binding, vnode) {
+        const tag = vnode && typeof vnode.type === 'string' ? vnode.type : ''
+        const originSrc = vnode && vnode.props ? vnode.props.src : ''
+
+        const { attrs, style } = _actions.getSSRProps(tag, binding, originSrc, remRatio)
+
+        return {
+          ...attrs,
+          style,
+        }
+      },
+    }
+
+    // vue3中使用mounted、updated、beforeUnmount、unmounted钩子
+    Vue.directive(DIRECTIVE_NAMESPACE, isVue3 ? _actions.toVue3Directive(directive) : directive)
   }
 }
@@ -0,0 +1,309 @@
+/**
+ * @file 图片请求调度器
+ */
+
+/**
+ * 优先级等级
+ *
+ * @ignore
+ */
+export const PRIORITY_LEVELS = {
+  low: 0,
+  normal: 1,
+  high: 2,
+}
+
+/**
+ * 将优先级转换为数值，支持优先级等级名称或数值，无法识别时视为normal
+ *
+ * @ignore
+ *
+ * @param {string|number} priority - 优先级
+ *
+ * @returns {number}
+ */
+export function toPriorityValue(priority) {
+  if (typeof priority === 'number') {
+    return priority
+  }
+
+  return PRIORITY_LEVELS[priority] !== undefined
+    ? PRIORITY_LEVELS[priority]
+    : PRIORITY_LEVELS.normal
+}
+
+// 私有方法
+const _actions = {
+  /**
+   * 执行队列中的任务，直到达到最大并发数
+   *
+   * @since 1.3.0
+   *
+   * @param {LoadScheduler} self - 实例自身
+   */
+  next(self) {
+    while (self._queue.length > 0 && self._running < self.$maxConcurrency) {
+      // 优先级高的先执行，同优先级的先进先出
+      let index = 0
+
+      self._queue.forEach((task, taskIndex) => {
+        const current = self._queue[index]
+
+        if (task.priority > current.priority || (task.priority === current.priority && task.order < current.order)) {
+          index = taskIndex
+        }
+      })
+
+      const [task] = self._queue.splice(index, 1)
+
+      _actions.run(self, task)
+    }
+  },
+  /**
+   * 执行任务，任务结束后释放并发数
+   *
+   * @since 1.3.0
+   *
+   * @param {LoadScheduler} self - 实例自身
+   * @param {object} task - 任务
+   */
+  run(self, task) {
+    self._running++
+    task.status = 'running'
+
+    let finished = false
+
+    const finish = () => {
+      if (finished) {
+        return
+      }
+
+      finished = true
+      self._running--
+      task.status = 'done'
+
+      _actions.next(self)
+    }
+
+    Promise.resolve().then(() => {
+      return task.run()
+    }).then((result) => {
+      finish()
+      task.resolve(result)
+    }, (err) => {
+      finish()
+      task.reject(err)
+    })
+  },
+}
+
+/**
+ * @classdesc 图片请求调度器，限制同时请求图片的并发数，并按优先级排队执行
+ *
+ * @class
+ */
+class LoadScheduler {
+  /**
+   * 默认配置选项
+   *
+   * @since 1.3.0
+   *
+   * @static
+   * @readonly
+   * @memberOf LoadScheduler
+   *
+   * @type {object}
+   * @property {number} maxConcurrency=6 - 最大并发数，设置为Infinity时不限制
+   */
+  static options = {
+    maxConcurrency: 6,
+  }
+
+  /**
+   * 构造函数
+   *
+   * @see LoadScheduler.options
+   *
+   * @param {object} [options] - 配置选项见{@link LoadScheduler.options}
+   */
+  constructor(options) {
+    this.$options = {
+      ...LoadScheduler.options,
+      ...options
+    }
+  }
+
+  /**
+   * 排队中的任务列表
+   *
+   * @since 1.3.0
+   *
+   * @private
+   */
+  _queue = []
+
+  /**
+   * 执行中的任务数
+   *
+   * @since 1.3.0
+   *
+   * @private
+   */
+  _running = 0
+
+  /**
+   * 任务的入队序号，用于保证同优先级的任务先进先出
+   *
+   * @since 1.3.0
+   *
+   * @private
+   */
+  _order = 0
+
+  /**
+   * 实例初始配置项
+   *
+   * @since 1.3.0
+   *
+   * @readonly
+   *
+   * @type {object}
+   */
+  $options = undefined
+
+  /**
+   * 获取最大并发数
+   *
+   * @since 1.3.0
+   *
+   * @getter
+   *
+   * @type {number}
+   */
+  get $maxConcurrency() {
+    return this.$options.maxConcurrency
+  }
+
+  /**
+   * 获取排队中的任务数
+   *
+   * @since 1.3.0
+   *
+   * @getter
+   *
+   * @type {number}
+   */
+  get $pending() {
+    return this._queue.length
+  }
+
+  /**
+   * 获取执行中的任务数
+   *
+   * @since 1.3.0
+   *
+   * @getter
+   *
+   * @type {number}
+   */
+  get $running() {
+    return this._running
+  }
+
+  /**
+   * 更新配置选项
+   *
+   * @since 1.3.0
+   *
+   * @param {object} options - 配置选项见{@link LoadScheduler.options}
+   *
+   * @returns {LoadScheduler}
+   */
+  config(options) {
+    this.$options = {
+      ...this.$options,
+      ...options
+    }
+
+    // 并发数可能被调大
+    _actions.next(this)
+
+    return this
+  }
+
+  /**
+   * 将任务加入队列
+   *
+   * @since 1.3.0
+   *
+   * @param {function} run - 任务函数，返回Promise，Promise结束后才释放并发数
+   * @param {string|number} [priority='normal'] - 优先级，可以是优先级等级名称（low、normal、high）或数值，值越大越优先
+   *
+   * @returns {object} - 返回任务对象，任务结果可通过`task.promise`获取
+   */
+  schedule(run, priority = 'normal') {
+    const task = {
+      run,
+      priority: toPriorityValue(priority),
+      order: this._order++,
+      status: 'pending',
+    }
+
+    task.promise = new Promise((resolve, reject) => {
+      task.resolve = resolve
+      task.reject = reject
+    })
+
+    this._queue.push(task)
+
+    _actions.next(this)
+
+    return task
+  }
+
+  /**
+   * 调整排队中任务的优先级
+   *
+   * @since 1.3.0
+   *
+   * @param {object} task - 任务对象
+   * @param {string|number} priority - 优先级
+   *
+   * @returns {boolean} - 任务不在排队中时返回false
+   */
+  reprioritize(task, priority) {
+    if (!task || task.status !== 'pending') {
+      return false
+    }
+
+    task.priority = toPriorityValue(priority)
+
+    return true
+  }
+
+  /**
+   * 将排队中的任务移出队列，任务的Promise将被reject
+   *
+   * @since 1.3.0
+   *
+   * @param {object} task - 任务对象
+   * @param {*} [reason] - reject的原因
+   *
+   * @returns {boolean} - 任务不在排队中时返回false
+   */
+  drop(task, reason) {
+    const index = this._queue.indexOf(task)
+
+    if (index < 0) {
+      return false
+    }
+
+    this._queue.splice(index, 1)
+    task.status = 'dropped'
+    task.reject(reason)
+
+    return true
+  }
+}
+
+export default LoadScheduler
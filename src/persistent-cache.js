@@ -0,0 +1,380 @@
+/**
+ * @file 图片持久化缓存
+ *
+ * 基于IndexedDB存储图片的二进制数据，页面重新打开后仍可直接使用，无需重新请求网络
+ * [注] 不支持IndexedDB或打开数据库失败时（如部分浏览器的隐私模式），所有操作将静默失效
+ */
+
+// 对象仓库名称
+const STORE_NAME = 'images'
+
+// 私有方法
+const _actions = {
+  /**
+   * 打开数据库，只会打开一次
+   *
+   * @since 1.3.0
+   *
+   * @async
+   *
+   * @param {PersistentCache} self - 实例自身
+   *
+   * @returns {Promise} - 打开失败时resolve的值为null
+   */
+  open(self) {
+    if (self._opening) {
+      return self._opening
+    }
+
+    self._opening = new Promise((resolve) => {
+      if (typeof indexedDB === 'undefined') {
+        return resolve(null)
+      }
+
+      let request
+
+      try {
+        request = indexedDB.open(self.$name, 1)
+      } catch (err) {
+        return resolve(null)
+      }
+
+      request.addEventListener('upgradeneeded', () => {
+        const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'src' })
+        store.createIndex('lastUsed', 'lastUsed')
+      })
+
+      request.addEventListener('success', () => {
+        resolve(request.result)
+      })
+
+      request.addEventListener('error', () => {
+        resolve(null)
+      })
+    })
+
+    return self._opening
+  },
+  /**
+   * 在对象仓库上执行操作
+   *
+   * @since 1.3.0
+   *
+   * @async
+   *
+   * @param {PersistentCache} self - 实例自身
+   * @param {string} mode - 事务模式，readonly或readwrite
+   * @param {function} handler - 操作函数，接收对象仓库，返回IDBRequest时，以其结果作为resolve的值
+   *
+   * @returns {Promise} - 数据库不可用或操作失败时resolve的值为undefined
+   */
+  transact(self, mode, handler) {
+    return _actions.open(self).then((db) => {
+      if (!db) {
+        return
+      }
+
+      return new Promise((resolve) => {
+        try {
+          const transaction = db.transaction(STORE_NAME, mode)
+          const request = handler(transaction.objectStore(STORE_NAME))
+
+          transaction.addEventListener('complete', () => {
+            resolve(request ? request.result : undefined)
+          })
+
+          transaction.addEventListener('error', () => {
+            resolve()
+          })
+
+          transaction.addEventListener('abort', () => {
+            resolve()
+          })
+        } catch (err) {
+          resolve()
+        }
+      })
+    })
+  },
+  /**
+   * blob转ArrayBuffer
+   * [注] 部分浏览器的IndexedDB不支持直接存储Blob，所以统一以ArrayBuffer存储
+   *
+   * @since 1.3.0
+   *
+   * @async
+   *
+   * @param {Blob} blob - blob数据
+   *
+   * @returns {Promise}
+   */
+  blobToArrayBuffer(blob) {
+    return new Promise((resolve, reject) => {
+      const fileReader = new FileReader()
+
+      fileReader.addEventListener('load', (event) => {
+        resolve(event.target.result)
+      })
+
+      fileReader.addEventListener('error', (err) => {
+        reject(err)
+      })
+
+      fileReader.readAsArrayBuffer(blob)
+    })
+  },
+  /**
+   * 超出最大容量时，按最近最少使用淘汰条目
+   *
+   * @since 1.3.0
+   *
+   * @async
+   *
+   * @param {PersistentCache} self - 实例自身
+   *
+   * @returns {Promise}
+   */
+  prune(self) {
+    return _actions.transact(self, 'readwrite', (store) => {
+      let totalBytes = 0
+
+      // 按最近使用时间从新到旧遍历，累计容量超出后的条目全部删除
+      store.index('lastUsed').openCursor(null, 'prev').addEventListener('success', (event) => {
+        const cursor = event.target.result
+
+        if (!cursor) {
+          return
+        }
+
+        totalBytes += cursor.value.bytes
+
+        if (totalBytes > self.$maxBytes) {
+          cursor.delete()
+        }
+
+        cursor.continue()
+      })
+    })
+  },
+  /**
+   * 判断条目是否已过期
+   *
+   * @since 1.3.0
+   *
+   * @param {PersistentCache} self - 实例自身
+   * @param {object} entry - 缓存条目
+   *
+   * @returns {boolean}
+   */
+  isStale(self, entry) {
+    return Date.now() - entry.createdAt > self.$maxAge
+  },
+}
+
+/**
+ * @classdesc 图片持久化缓存，超出最大容量时按最近最少使用淘汰，超出最大有效期的条目视为不存在
+ *
+ * @class
+ */
+class PersistentCache {
+  /**
+   * 默认配置选项
+   *
+   * @since 1.3.0
+   *
+   * @static
+   * @readonly
+   * @memberOf PersistentCache
+   *
+   * @type {object}
+   * @property {string} name='vue-image-loader' - IndexedDB数据库名称
+   * @property {number} maxBytes=52428800 - 最大缓存容量，单位：字节，默认50MB
+   * @property {number} maxAge=604800000 - 条目的最大有效期，单位：毫秒，默认7天
+   */
+  static options = {
+    name: 'vue-image-loader',
+    maxBytes: 50 * 1024 * 1024,
+    maxAge: 7 * 24 * 60 * 60 * 1000,
+  }
+
+  /**
+   * 构造函数
+   *
+   * @see PersistentCache.options
+   *
+   * @param {object} [options] - 配置选项见{@link PersistentCache.options}
+   */
+  constructor(options) {
+    this.$options = {
+      ...PersistentCache.options,
+      ...options
+    }
+  }
+
+  /**
+   * 打开数据库的Promise
+   *
+   * @since 1.3.0
+   *
+   * @private
+   */
+  _opening = undefined
+
+  /**
+   * 实例初始配置项
+   *
+   * @since 1.3.0
+   *
+   * @readonly
+   *
+   * @type {object}
+   */
+  $options = undefined
+
+  /**
+   * 获取数据库名称
+   *
+   * @since 1.3.0
+   *
+   * @getter
+   *
+   * @type {string}
+   */
+  get $name() {
+    return this.$options.name
+  }
+
+  /**
+   * 获取最大缓存容量
+   *
+   * @since 1.3.0
+   *
+   * @getter
+   *
+   * @type {number}
+   */
+  get $maxBytes() {
+    return this.$options.maxBytes
+  }
+
+  /**
+   * 获取条目的最大有效期
+   *
+   * @since 1.3.0
+   *
+   * @getter
+   *
+   * @type {number}
+   */
+  get $maxAge() {
+    return this.$options.maxAge
+  }
+
+  /**
+   * 获取图片数据，并更新最近使用时间
+   * 条目已过期时会被删除
+   *
+   * @since 1.3.0
+   *
+   * @async
+   *
+   * @param {string} src - 图片地址
+   *
+   * @returns {Promise} - resolve的值为Blob，不存在或已过期时为undefined
+   */
+  get(src) {
+    return _actions.transact(this, 'readonly', (store) => {
+      return store.get(src)
+    }).then((entry) => {
+      if (!entry) {
+        return
+      }
+
+      if (_actions.isStale(this, entry)) {
+        this.delete(src)
+        return
+      }
+
+      _actions.transact(this, 'readwrite', (store) => {
+        store.put({
+          ...entry,
+          lastUsed: Date.now(),
+        })
+      })
+
+      return new Blob([entry.buffer], { type: entry.type })
+    })
+  }
+
+  /**
+   * 存储图片数据，超出最大容量时会淘汰最近最少使用的条目
+   * [注] 单个图片超出最大容量时不进行存储
+   *
+   * @since 1.3.0
+   *
+   * @async
+   *
+   * @param {string} src - 图片地址
+   * @param {Blob} blob - 图片数据
+   *
+   * @returns {Promise}
+   */
+  set(src, blob) {
+    if (!blob || blob.size > this.$maxBytes) {
+      return Promise.resolve()
+    }
+
+    return _actions.blobToArrayBuffer(blob).then((buffer) => {
+      const now = Date.now()
+
+      return _actions.transact(this, 'readwrite', (store) => {
+        store.put({
+          src,
+          buffer,
+          type: blob.type,
+          bytes: blob.size,
+          createdAt: now,
+          lastUsed: now,
+        })
+      })
+    }).then(() => {
+      return _actions.prune(this)
+    }).catch(() => {
+      // 存储失败（如超出浏览器配额）不影响图片的使用
+    })
+  }
+
+  /**
+   * 删除图片数据
+   *
+   * @since 1.3.0
+   *
+   * @async
+   *
+   * @param {string} src - 图片地址
+   *
+   * @returns {Promise}
+   */
+  delete(src) {
+    return _actions.transact(this, 'readwrite', (store) => {
+      store.delete(src)
+    })
+  }
+
+  /**
+   * 清空所有图片数据
+   *
+   * @since 1.3.0
+   *
+   * @async
+   *
+   * @returns {Promise}
+   */
+  clear() {
+    return _actions.transact(this, 'readwrite', (store) => {
+      store.clear()
+    })
+  }
+}
+
+export default PersistentCache
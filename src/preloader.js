@@ -0,0 +1,125 @@
+/**
+ * @file 图片预加载
+ *
+ * 通过{@link ImageLoader#load}提前请求图片，载入成功的图片会记录到{@link ImageLoader.cache}中，之后指令再请求时视为已下载过
+ */
+
+import ImageLoader from './image-loader'
+
+// 默认的同时预加载数量
+const DEFAULT_CONCURRENCY = 6
+
+// 私有方法
+const _actions = {
+  /**
+   * 预加载单张图片，请求失败时同样resolve
+   *
+   * @since 1.3.0
+   *
+   * @async
+   *
+   * @param {string} src - 图片地址
+   * @param {object} options - 配置选项
+   * @param {string|number} options.priority - 请求的优先级
+   * @param {number} options.timeout - 单次请求的超时时间
+   *
+   * @returns {Promise} - resolve的值为`{ src, status, loaded, naturalWidth, naturalHeight, error }`格式的结果
+   */
+  preloadImage(src, { priority, timeout }) {
+    const imageLoader = new ImageLoader({
+      name: 'Preloader',
+      priority,
+      timeout,
+    })
+
+    const result = () => {
+      // 持久化缓存命中时生成的objectURL不再使用，立即释放
+      imageLoader.release()
+
+      return {
+        src,
+        status: imageLoader.$status,
+        loaded: !!imageLoader.$loaded,
+        naturalWidth: imageLoader.$naturalWidth || 0,
+        naturalHeight: imageLoader.$naturalHeight || 0,
+        error: imageLoader.$error || null,
+      }
+    }
+
+    return imageLoader.load(src).then(result, result)
+  },
+}
+
+/**
+ * 预加载图片，如路由切换前或打开图库前提前请求图片
+ * 所有图片都会经过请求调度器排队，同时受全局最大并发数的限制
+ *
+ * @ignore
+ *
+ * @async
+ *
+ * @param {string|string[]} urls - 图片地址列表
+ * @param {object} [options={}] - 配置选项
+ * @param {number} [options.concurrency=6] - 本次预加载同时请求的最大数量
+ * @param {string|number} [options.priority='low'] - 请求的优先级，默认低于页面上的图片
+ * @param {number} [options.timeout=0] - 单次请求的超时时间，单位：毫秒，0表示不限制
+ * @param {function} [options.onProgress] - 整体进度回调，每张图片请求结束时调用，接收`{ completed, failed, total, percent }`，percent的取值范围为0~100
+ *
+ * @returns {Promise} - 始终resolve，值为与图片地址列表顺序一致的结果列表，每项为`{ src, status, loaded, naturalWidth, naturalHeight, error }`，status为success、fail、timeout，loaded表示预加载前是否已下载过
+ */
+export function preload(urls, {
+  concurrency = DEFAULT_CONCURRENCY,
+  priority = 'low',
+  timeout = 0,
+  onProgress,
+} = {}) {
+  const srcList = [].concat(urls || []).filter(Boolean)
+  const total = srcList.length
+  const results = new Array(total)
+
+  let nextIndex = 0
+  let completed = 0
+  let failed = 0
+
+  // 从列表中依次取出图片请求，直到全部请求完成
+  const next = () => {
+    if (nextIndex >= total) {
+      return Promise.resolve()
+    }
+
+    const index = nextIndex++
+
+    return _actions.preloadImage(srcList[index], { priority, timeout }).then((result) => {
+      results[index] = result
+
+      completed++
+      result.status !== 'success' && failed++
+
+      if (typeof onProgress === 'function') {
+        try {
+          onProgress({
+            completed,
+            failed,
+            total,
+            percent: completed / total * 100,
+          })
+        } catch (err) {
+          // 进度回调的异常不影响预加载
+        }
+      }
+
+      return next()
+    })
+  }
+
+  const workers = []
+  const workerCount = Math.min(Math.max(concurrency, 1), total)
+
+  for (let i = 0; i < workerCount; i++) {
+    workers.push(next())
+  }
+
+  return Promise.all(workers).then(() => {
+    return results
+  })
+}
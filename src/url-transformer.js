@@ -0,0 +1,180 @@
+/**
+ * @file 图片地址转换器
+ *
+ * 根据目标尺寸、设备像素比和图片格式，将源图片地址转换为CDN图片处理服务的地址
+ * 转换器是一个函数，接收`{ src, width, height, dpr, format }`格式的上下文对象，返回最终的图片地址
+ * - src - 源图片地址
+ * - width - 目标宽度，单位：px，可能为undefined
+ * - height - 目标高度，单位：px，可能为undefined
+ * - dpr - 设备像素比
+ * - format - 期望输出的图片格式，可能为空字符串
+ */
+
+// 私有方法
+const _actions = {
+  /**
+   * 为图片地址附加查询参数
+   *
+   * @since 1.3.0
+   *
+   * @param {string} src - 图片地址
+   * @param {string} query - 查询参数
+   *
+   * @returns {string}
+   */
+  appendQuery(src, query) {
+    const [url, hash] = src.split('#')
+    const separator = url.indexOf('?') >= 0 ? '&' : '?'
+
+    return url + separator + query + (hash !== undefined ? '#' + hash : '')
+  },
+  /**
+   * 计算物理像素尺寸
+   *
+   * @since 1.3.0
+   *
+   * @param {number} [size] - 尺寸，单位：px
+   * @param {number} dpr - 设备像素比
+   *
+   * @returns {number|undefined}
+   */
+  toPhysicalSize(size, dpr) {
+    return size > 0 ? Math.round(size * dpr) : undefined
+  },
+}
+
+// 内置转换器
+const builtInTransformers = {
+  /**
+   * 又拍云图片处理
+   * 如：`path/to/source.jpg!/both/600x800/format/webp`
+   * [注] 若图片地址已包含处理参数，则不再转换
+   *
+   * @since 1.3.0
+   *
+   * @param {object} context - 转换上下文
+   *
+   * @returns {string}
+   */
+  upyun({ src, width, height, dpr, format }) {
+    if (src.indexOf('!') >= 0) {
+      return src
+    }
+
+    const w = _actions.toPhysicalSize(width, dpr)
+    const h = _actions.toPhysicalSize(height, dpr)
+
+    const rules = []
+
+    if (w && h) {
+      rules.push(`both/${w}x${h}`)
+    } else if (w) {
+      rules.push(`fw/${w}`)
+    } else if (h) {
+      rules.push(`fh/${h}`)
+    }
+
+    if (format) {
+      rules.push(`format/${format}`)
+    }
+
+    return rules.length > 0 ? `${src}!/${rules.join('/')}` : src
+  },
+  /**
+   * 七牛云图片处理
+   * 如：`path/to/source.jpg?imageView2/1/w/600/h/800/format/webp`
+   * [注] 若图片地址已包含处理参数，则不再转换
+   *
+   * @since 1.3.0
+   *
+   * @param {object} context - 转换上下文
+   *
+   * @returns {string}
+   */
+  qiniu({ src, width, height, dpr, format }) {
+    if (/imageView2|imageMogr2/.test(src)) {
+      return src
+    }
+
+    const w = _actions.toPhysicalSize(width, dpr)
+    const h = _actions.toPhysicalSize(height, dpr)
+
+    // 同时存在宽高时，缩放后居中裁剪；否则等比缩放
+    const rules = [w && h ? 'imageView2/1' : 'imageView2/2']
+
+    w && rules.push(`w/${w}`)
+    h && rules.push(`h/${h}`)
+    format && rules.push(`format/${format}`)
+
+    return rules.length > 1 ? _actions.appendQuery(src, rules.join('/')) : src
+  },
+  /**
+   * 阿里云OSS图片处理
+   * 如：`path/to/source.jpg?x-oss-process=image/resize,m_fill,w_600,h_800/format,webp`
+   * [注] 若图片地址已包含处理参数，则不再转换
+   *
+   * @since 1.3.0
+   *
+   * @param {object} context - 转换上下文
+   *
+   * @returns {string}
+   */
+  oss({ src, width, height, dpr, format }) {
+    if (src.indexOf('x-oss-process=') >= 0) {
+      return src
+    }
+
+    const w = _actions.toPhysicalSize(width, dpr)
+    const h = _actions.toPhysicalSize(height, dpr)
+
+    const rules = []
+
+    if (w || h) {
+      // 同时存在宽高时，缩放后居中裁剪；否则等比缩放
+      const resize = [w && h ? 'm_fill' : 'm_lfit']
+
+      w && resize.push(`w_${w}`)
+      h && resize.push(`h_${h}`)
+
+      rules.push(`resize,${resize.join(',')}`)
+    }
+
+    if (format) {
+      rules.push(`format,${format}`)
+    }
+
+    return rules.length > 0 ? _actions.appendQuery(src, `x-oss-process=image/${rules.join('/')}`) : src
+  },
+}
+
+// 已注册的转换器集合
+const transformers = {
+  ...builtInTransformers
+}
+
+/**
+ * 注册自定义转换器，同名时将覆盖已注册的转换器
+ *
+ * @ignore
+ *
+ * @param {string} name - 转换器名称
+ * @param {function} transformer - 转换器
+ */
+export function registerTransformer(name, transformer) {
+  transformers[name] = transformer
+}
+
+/**
+ * 获取转换器
+ *
+ * @ignore
+ *
+ * @param {string|function} [transformer] - 转换器名称，若本身是函数，则直接返回
+ *
+ * @returns {function|undefined}
+ */
+export function getTransformer(transformer) {
+  return typeof transformer === 'function'
+    ? transformer
+    : transformers[transformer]
+}
@@ -31,3 +31,61 @@ export function removeAnimationEnd($el, handler, useCapture = false) {
   $el.removeEventListener('animationend', handler, useCapture)
   $el.removeEventListener('webkitAnimationEnd', handler, useCapture)
 }
+
+/**
+ * 绑定一次性的动画结束事件，触发一次后自动移除
+ * [注] 会忽略子元素冒泡上来的动画结束事件
+ *
+ * @ignore
+ *
+ * @param {Element} $el - 目标dom元素
+ * @param {function} handler - 事件处理器
+ *
+ * @returns {function} - 返回提前移除该事件的函数
+ */
+export function onceAnimationEnd($el, handler) {
+  const listener = function (event) {
+    if (event.target !== $el) {
+      return
+    }
+
+    removeAnimationEnd($el, listener)
+    handler(event)
+  }
+
+  addAnimationEnd($el, listener)
+
+  return function cancel() {
+    removeAnimationEnd($el, listener)
+  }
+}
+
+/**
+ * 获取元素当前动画的最长执行时间（动画延迟时间与持续时间之和），单位：毫秒
+ * 用于在未触发动画结束事件时（如未定义动画或元素已被移除）进行兜底
+ *
+ * @ignore
+ *
+ * @param {Element} $el - 目标dom元素
+ *
+ * @returns {number}
+ */
+export function getAnimationTimeout($el) {
+  const styles = window.getComputedStyle($el)
+
+  const toList = (prop) => {
+    return (styles.getPropertyValue(prop) || styles.getPropertyValue('-webkit-' + prop) || '').split(', ')
+  }
+
+  // 兼容部分地区将小数点表示为逗号的写法
+  const toMs = (value) => {
+    return Number(value.slice(0, -1).replace(',', '.')) * 1000 || 0
+  }
+
+  const durations = toList('animation-duration')
+  const delays = toList('animation-delay')
+
+  return Math.max(...durations.map((duration, index) => {
+    return toMs(duration) + toMs(delays[index % delays.length])
+  }))
+}
@@ -0,0 +1,40 @@
+/**
+ * 尺寸值的解析与转换
+ */
+
+/**
+ * 解析`宽x高`格式的尺寸值，并转换为rem单位的宽高值
+ * 如`300x400`，表示宽300、高400，高不存在时则同宽值
+ *
+ * @ignore
+ *
+ * @param {string} [size] - 尺寸值
+ * @param {number} remRatio - rem与px的比例，如100表示1rem=100px
+ *
+ * @returns {object} - 返回`{ width, height }`格式，未指定尺寸时均为空字符串
+ */
+export function parseSize(size, remRatio) {
+  // 获取自定义高宽值
+  let sizeList = size
+    ? size.split('x')
+    : []
+
+  // 只截取前两个的值
+  let [width, height] = sizeList.slice(0, 2)
+
+  // 未指定尺寸时，不设置宽高
+  if (!width) {
+    return {
+      width: '',
+      height: '',
+    }
+  }
+
+  // 高不存在时则同样的宽值
+  height = height || width
+
+  return {
+    width: (width / remRatio ) + 'rem',
+    height: (height / remRatio ) + 'rem',
+  }
+}
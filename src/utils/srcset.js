@@ -0,0 +1,122 @@
+/**
+ * srcset候选图片的解析与挑选
+ *
+ * 语法与原生`srcset`属性一致，如：`path/to/a.jpg 1x, path/to/b.jpg 2x`或`path/to/a.jpg 320w, path/to/b.jpg 640w`
+ */
+
+// 候选项之间的分隔符：空白符和逗号
+const SEPARATOR_REG = /^[\s,]*/
+
+// 候选图片地址：连续的非空白符
+const URL_REG = /^\S+/
+
+// 描述符的匹配正则表达式
+const DESCRIPTOR_REG = /^(\d*\.?\d+)([wx])$/
+
+/**
+ * 解析srcset字符串为候选图片列表
+ * 解析方式与html规范的候选图片解析算法一致：地址为连续的非空白符（可包含逗号，如dataURL），地址以逗号结尾或描述符之后的逗号视为候选项的结束，因此逗号后可以不加空白符
+ * [注] 非法的候选项将被忽略
+ *
+ * @ignore
+ *
+ * @param {string} [srcset=''] - 候选图片集合
+ * @param {string} [src=''] - 默认图片地址，当候选项均为像素比描述符且不存在`1x`时，作为`1x`候选图片
+ *
+ * @returns {object[]} - 返回`{ url, width, density }`格式的列表
+ */
+export function parseSrcset(srcset = '', src = '') {
+  const candidates = []
+
+  let rest = srcset.replace(SEPARATOR_REG, '')
+
+  while (rest) {
+    let url = rest.match(URL_REG)[0]
+    let descriptor = ''
+
+    rest = rest.slice(url.length)
+
+    if (/,$/.test(url)) {
+      // 地址以逗号结尾时，该候选项不存在描述符
+      url = url.replace(/,+$/, '')
+    } else {
+      // 描述符直到下一个逗号为止
+      descriptor = rest.match(/^[^,]*/)[0]
+      rest = rest.slice(descriptor.length)
+      descriptor = descriptor.trim()
+    }
+
+    rest = rest.replace(SEPARATOR_REG, '')
+
+    const matched = descriptor.match(DESCRIPTOR_REG)
+
+    if (!url || (descriptor && !matched)) {
+      continue
+    }
+
+    const [, value, type] = matched || []
+
+    candidates.push({
+      url,
+      width: type === 'w' ? Number(value) : undefined,
+      density: type === 'w' ? undefined : Number(value || 1),
+    })
+  }
+
+  const isDensity = candidates.every((candidate) => {
+    return candidate.density !== undefined
+  })
+
+  const hasOneDensity = candidates.some((candidate) => {
+    return candidate.density === 1
+  })
+
+  if (src && isDensity && !hasOneDensity) {
+    candidates.push({ url: src, width: undefined, density: 1 })
+  }
+
+  return candidates
+}
+
+/**
+ * 将候选图片统一转换为物理像素宽度，并按从小到大排序
+ *
+ * @ignore
+ *
+ * @param {object[]} candidates - 候选图片列表，见{@link parseSrcset}
+ * @param {number} width - 元素的渲染宽度，单位：px
+ *
+ * @returns {object[]} - 返回`{ url, resolution }`格式的列表，resolution为该图片对应的物理像素宽度
+ */
+export function sortCandidates(candidates, width) {
+  return candidates.map((candidate) => {
+    return {
+      url: candidate.url,
+      resolution: candidate.width !== undefined ? candidate.width : candidate.density * width,
+    }
+  }).sort((prev, next) => {
+    return prev.resolution - next.resolution
+  })
+}
+
+/**
+ * 根据设备像素比和元素的渲染宽度挑选最合适的候选图片
+ * 优先选择满足分辨率要求的最小图片，若均不满足，则选择最大的图片
+ *
+ * @ignore
+ *
+ * @param {object[]} candidates - 候选图片列表，见{@link parseSrcset}
+ * @param {object} options - 配置选项
+ * @param {number} options.dpr - 设备像素比
+ * @param {number} options.width - 元素的渲染宽度，单位：px
+ *
+ * @returns {object|undefined} - 返回`{ url, resolution }`格式，见{@link sortCandidates}
+ */
+export function pickCandidate(candidates, { dpr, width }) {
+  const sorted = sortCandidates(candidates, width)
+  const required = width * dpr
+
+  return sorted.find((candidate) => {
+    return candidate.resolution >= required
+  }) || sorted[sorted.length - 1]
+}
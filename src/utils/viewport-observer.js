@@ -0,0 +1,246 @@
+/**
+ * 视口观察器
+ *
+ * 优先使用`IntersectionObserver`，不支持时降级为节流后的`scroll`/`resize`事件检测
+ * [注] 元素首次进入视口触发处理器后，即自动停止观察
+ */
+
+// 降级检测时的节流间隔时间
+const THROTTLE_DELAY = 100
+
+// 按配置项缓存的IntersectionObserver实例集合
+const intersectionObservers = {}
+
+// 降级检测时的观察者列表
+const fallbackWatchers = []
+
+// 降级检测时的节流计时器
+let fallbackTimeouter
+
+// 私有方法
+const _actions = {
+  /**
+   * 判断当前环境是否支持IntersectionObserver
+   *
+   * @since 1.3.0
+   *
+   * @returns {boolean}
+   */
+  isSupported() {
+    return typeof window !== 'undefined' && 'IntersectionObserver' in window
+  },
+  /**
+   * 解析rootMargin，转换为四个方向的像素值
+   * 支持css的简写格式，单位仅支持`px`和`%`
+   *
+   * @since 1.3.0
+   *
+   * @param {string} rootMargin - 外边距
+   *
+   * @returns {object}
+   */
+  parseRootMargin(rootMargin) {
+    const viewWidth = window.innerWidth || document.documentElement.clientWidth
+    const viewHeight = window.innerHeight || document.documentElement.clientHeight
+
+    let [top, right, bottom, left] = rootMargin.trim().split(/\s+/)
+
+    right = right || top
+    bottom = bottom || top
+    left = left || right
+
+    const toPixel = (value, base) => {
+      const number = parseFloat(value) || 0
+      return /%$/.test(value) ? number * base / 100 : number
+    }
+
+    return {
+      top: toPixel(top, viewHeight),
+      right: toPixel(right, viewWidth),
+      bottom: toPixel(bottom, viewHeight),
+      left: toPixel(left, viewWidth),
+    }
+  },
+  /**
+   * 降级检测时判断元素是否已进入视口
+   *
+   * @since 1.3.0
+   *
+   * @param {object} watcher - 观察者
+   *
+   * @returns {boolean}
+   */
+  isInViewport(watcher) {
+    const { $el, rootMargin, threshold } = watcher
+
+    const rect = $el.getBoundingClientRect()
+    const margin = _actions.parseRootMargin(rootMargin)
+
+    const viewWidth = window.innerWidth || document.documentElement.clientWidth
+    const viewHeight = window.innerHeight || document.documentElement.clientHeight
+
+    const width = Math.min(rect.right, viewWidth + margin.right) - Math.max(rect.left, -margin.left)
+    const height = Math.min(rect.bottom, viewHeight + margin.bottom) - Math.max(rect.top, -margin.top)
+
+    // 不存在交叉区域
+    if (width < 0 || height < 0) {
+      return false
+    }
+
+    const area = rect.width * rect.height
+
+    // 元素未占据空间时（如display:none），仅在阈值为0时认为进入视口
+    if (!area) {
+      return threshold === 0 && rect.width + rect.height > 0
+    }
+
+    return width * height / area >= threshold
+  },
+  /**
+   * 降级检测：遍历检测所有观察者
+   *
+   * @since 1.3.0
+   */
+  checkFallbackWatchers() {
+    fallbackWatchers.slice().forEach((watcher) => {
+      if (_actions.isInViewport(watcher)) {
+        watcher.unobserve()
+        watcher.handler()
+      }
+    })
+  },
+  /**
+   * 降级检测：节流处理滚动和尺寸变化事件
+   *
+   * @since 1.3.0
+   */
+  throttleHandler() {
+    if (fallbackTimeouter) {
+      return
+    }
+
+    fallbackTimeouter = setTimeout(() => {
+      fallbackTimeouter = null
+      _actions.checkFallbackWatchers()
+    }, THROTTLE_DELAY)
+  },
+  /**
+   * 降级检测：绑定或解绑全局的滚动和尺寸变化事件
+   *
+   * @since 1.3.0
+   *
+   * @param {boolean} listened - 是否绑定
+   */
+  toggleFallbackListener(listened) {
+    const method = listened ? 'addEventListener' : 'removeEventListener'
+
+    // 使用捕获阶段，以便同时监听到内部滚动容器的滚动事件
+    window[method]('scroll', _actions.throttleHandler, true)
+    window[method]('resize', _actions.throttleHandler, false)
+    window[method]('orientationchange', _actions.throttleHandler, false)
+  },
+  /**
+   * 获取对应配置项的IntersectionObserver实例，不存在时则创建
+   *
+   * @since 1.3.0
+   *
+   * @param {string} rootMargin - 外边距
+   * @param {number} threshold - 阈值
+   *
+   * @returns {object}
+   */
+  getIntersectionObserver(rootMargin, threshold) {
+    const key = `${rootMargin}|${threshold}`
+
+    if (intersectionObservers[key]) {
+      return intersectionObservers[key]
+    }
+
+    const handlers = new Map()
+
+    const observer = new IntersectionObserver((entries) => {
+      entries.forEach((entry) => {
+        // 部分早期实现不存在isIntersecting属性
+        const intersecting = entry.isIntersecting !== undefined
+          ? entry.isIntersecting
+          : entry.intersectionRatio > 0
+
+        if (!intersecting || entry.intersectionRatio < threshold) {
+          return
+        }
+
+        const handler = handlers.get(entry.target)
+
+        if (handler) {
+          observer.unobserve(entry.target)
+          handlers.delete(entry.target)
+          handler()
+        }
+      })
+    }, {
+      rootMargin,
+      threshold,
+    })
+
+    return (intersectionObservers[key] = { observer, handlers })
+  },
+}
+
+/**
+ * 观察元素是否进入视口，进入后执行一次处理器并停止观察
+ *
+ * @ignore
+ *
+ * @param {Element} $el - 目标dom元素
+ * @param {function} handler - 进入视口时的处理器
+ * @param {object} [options={}] - 配置选项
+ * @param {string} [options.rootMargin='0px'] - 视口外边距，扩大或缩小判断进入视口的区域
+ * @param {number} [options.threshold=0] - 元素可见比例达到该阈值时才认为进入视口
+ *
+ * @returns {function} - 返回取消观察的函数
+ */
+export function observeViewport($el, handler, { rootMargin = '0px', threshold = 0 } = {}) {
+  if (_actions.isSupported()) {
+    const { observer, handlers } = _actions.getIntersectionObserver(rootMargin, threshold)
+
+    handlers.set($el, handler)
+    observer.observe($el)
+
+    return function unobserve() {
+      if (handlers.delete($el)) {
+        observer.unobserve($el)
+      }
+    }
+  }
+
+  const watcher = {
+    $el,
+    handler,
+    rootMargin,
+    threshold,
+    unobserve() {
+      const index = fallbackWatchers.indexOf(watcher)
+
+      if (index < 0) {
+        return
+      }
+
+      fallbackWatchers.splice(index, 1)
+
+      if (fallbackWatchers.length === 0) {
+        _actions.toggleFallbackListener(false)
+      }
+    },
+  }
+
+  if (fallbackWatchers.length === 0) {
+    _actions.toggleFallbackListener(true)
+  }
+
+  fallbackWatchers.push(watcher)
+
+  // 首次观察时立即检测一次（元素可能本身已在视口内）
+  _actions.throttleHandler()
+
+  return watcher.unobserve
+}
@@ -0,0 +1,121 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import ImageCache from '../src/image-cache.js'
+
+describe('ImageCache', () => {
+  it('记录图片的元数据', () => {
+    const cache = new ImageCache()
+
+    const entry = cache.set('a.jpg', { naturalWidth: 100, naturalHeight: 50, mime: 'image/jpeg', bytes: 1024 })
+
+    assert.equal(entry.src, 'a.jpg')
+    assert.equal(entry.naturalWidth, 100)
+    assert.equal(typeof entry.lastUsed, 'number')
+    assert.equal(cache.has('a.jpg'), true)
+    assert.equal(cache.get('a.jpg'), entry)
+  })
+
+  it('已存在时合并元数据', () => {
+    const cache = new ImageCache()
+
+    cache.set('a.jpg', { naturalWidth: 100, bytes: 1024 })
+    cache.set('a.jpg', { color: '#336699' })
+
+    const entry = cache.peek('a.jpg')
+
+    assert.equal(entry.naturalWidth, 100)
+    assert.equal(entry.bytes, 1024)
+    assert.equal(entry.color, '#336699')
+  })
+
+  it('超出最大容量时淘汰最久未使用的条目', () => {
+    const cache = new ImageCache({ maxSize: 2 })
+
+    cache.set('a.jpg')
+    cache.set('b.jpg')
+
+    // 读取后标记为最近使用
+    cache.get('a.jpg')
+    cache.set('c.jpg')
+
+    assert.equal(cache.has('a.jpg'), true)
+    assert.equal(cache.has('b.jpg'), false)
+    assert.equal(cache.has('c.jpg'), true)
+    assert.equal(cache.stats().evictions, 1)
+  })
+
+  it('has和peek不影响淘汰顺序及命中统计', () => {
+    const cache = new ImageCache({ maxSize: 2 })
+
+    cache.set('a.jpg')
+    cache.set('b.jpg')
+
+    cache.has('a.jpg')
+    cache.peek('a.jpg')
+    cache.peek('unknown.jpg')
+    cache.set('c.jpg')
+
+    assert.equal(cache.has('a.jpg'), false)
+
+    const { hits, misses } = cache.stats()
+
+    assert.equal(hits, 0)
+    assert.equal(misses, 0)
+  })
+
+  it('统计命中次数、未命中次数及已知容量', () => {
+    const cache = new ImageCache()
+
+    cache.set('a.jpg', { bytes: 1000 })
+    cache.set('b.jpg', { bytes: 500 })
+    cache.set('c.jpg')
+
+    cache.get('a.jpg')
+    cache.get('a.jpg')
+    cache.get('unknown.jpg')
+
+    assert.deepEqual(cache.stats(), {
+      size: 3,
+      maxSize: 500,
+      bytes: 1500,
+      hits: 2,
+      misses: 1,
+      evictions: 0,
+    })
+  })
+
+  it('调小最大容量时立即淘汰', () => {
+    const cache = new ImageCache()
+
+    ;['a.jpg', 'b.jpg', 'c.jpg'].forEach((src) => cache.set(src))
+
+    cache.config({ maxSize: 1 })
+
+    assert.equal(cache.stats().size, 1)
+    assert.equal(cache.has('c.jpg'), true)
+  })
+
+  it('删除条目及清空缓存', () => {
+    const cache = new ImageCache()
+
+    cache.set('a.jpg')
+    cache.set('b.jpg')
+    cache.get('a.jpg')
+
+    assert.equal(cache.delete('a.jpg'), true)
+    assert.equal(cache.delete('a.jpg'), false)
+    assert.equal(cache.has('a.jpg'), false)
+
+    cache.clear()
+
+    assert.deepEqual(cache.stats(), {
+      size: 0,
+      maxSize: 500,
+      bytes: 0,
+      hits: 0,
+      misses: 0,
+      evictions: 0,
+    })
+  })
+})
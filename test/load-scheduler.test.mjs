@@ -0,0 +1,180 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import LoadScheduler, { toPriorityValue } from '../src/load-scheduler.js'
+
+// 创建可手动结束的任务，并记录任务的开始顺序
+function createTask(name, started) {
+  let resolve
+  let reject
+
+  const promise = new Promise((res, rej) => {
+    resolve = res
+    reject = rej
+  })
+
+  return {
+    run() {
+      started.push(name)
+
+      return promise
+    },
+    resolve,
+    reject,
+  }
+}
+
+// 等待已resolve的Promise回调执行完毕
+function flush() {
+  return new Promise((resolve) => setTimeout(resolve, 0))
+}
+
+describe('toPriorityValue', () => {
+  it('转换优先级等级名称', () => {
+    assert.equal(toPriorityValue('low'), 0)
+    assert.equal(toPriorityValue('normal'), 1)
+    assert.equal(toPriorityValue('high'), 2)
+  })
+
+  it('数值直接返回，未知名称视为normal', () => {
+    assert.equal(toPriorityValue(5), 5)
+    assert.equal(toPriorityValue('unknown'), 1)
+    assert.equal(toPriorityValue(), 1)
+  })
+})
+
+describe('LoadScheduler', () => {
+  it('不超过最大并发数', async () => {
+    const scheduler = new LoadScheduler({ maxConcurrency: 2 })
+    const started = []
+    const tasks = ['a', 'b', 'c'].map((name) => createTask(name, started))
+
+    tasks.forEach((task) => scheduler.schedule(task.run))
+
+    await flush()
+
+    assert.deepEqual(started, ['a', 'b'])
+    assert.equal(scheduler.$running, 2)
+    assert.equal(scheduler.$pending, 1)
+
+    tasks[0].resolve()
+    await flush()
+
+    assert.deepEqual(started, ['a', 'b', 'c'])
+    assert.equal(scheduler.$pending, 0)
+  })
+
+  it('优先级高的先执行，同优先级的先进先出', async () => {
+    const scheduler = new LoadScheduler({ maxConcurrency: 1 })
+    const started = []
+    const blocker = createTask('blocker', started)
+
+    scheduler.schedule(blocker.run)
+
+    ;[
+      ['low', 'low'],
+      ['normal-1', 'normal'],
+      ['high', 'high'],
+      ['normal-2', 'normal'],
+    ].forEach(([name, priority]) => {
+      const task = createTask(name, started)
+
+      scheduler.schedule(task.run, priority)
+      task.resolve()
+    })
+
+    blocker.resolve()
+    await flush()
+
+    assert.deepEqual(started, ['blocker', 'high', 'normal-1', 'normal-2', 'low'])
+  })
+
+  it('任务的Promise跟随执行结果，失败时同样释放并发数', async () => {
+    const scheduler = new LoadScheduler({ maxConcurrency: 1 })
+    const started = []
+    const failed = createTask('failed', started)
+    const next = createTask('next', started)
+
+    const failedTask = scheduler.schedule(failed.run)
+    const nextTask = scheduler.schedule(next.run)
+
+    const error = new Error('fail')
+
+    failed.reject(error)
+    await assert.rejects(failedTask.promise, error)
+    assert.equal(failedTask.status, 'done')
+
+    next.resolve('result')
+    assert.equal(await nextTask.promise, 'result')
+    assert.equal(scheduler.$running, 0)
+  })
+
+  it('调整排队中任务的优先级', async () => {
+    const scheduler = new LoadScheduler({ maxConcurrency: 1 })
+    const started = []
+    const blocker = createTask('blocker', started)
+    const first = createTask('first', started)
+    const second = createTask('second', started)
+
+    const blockerTask = scheduler.schedule(blocker.run)
+
+    scheduler.schedule(first.run)
+
+    const secondTask = scheduler.schedule(second.run)
+
+    await flush()
+
+    // 执行中的任务无法调整
+    assert.equal(scheduler.reprioritize(blockerTask, 'high'), false)
+    assert.equal(scheduler.reprioritize(secondTask, 'high'), true)
+    assert.equal(scheduler.reprioritize(null, 'high'), false)
+
+    blocker.resolve()
+    await flush()
+
+    assert.deepEqual(started, ['blocker', 'second'])
+  })
+
+  it('将排队中的任务移出队列', async () => {
+    const scheduler = new LoadScheduler({ maxConcurrency: 1 })
+    const started = []
+    const blocker = createTask('blocker', started)
+    const dropped = createTask('dropped', started)
+
+    const blockerTask = scheduler.schedule(blocker.run)
+    const droppedTask = scheduler.schedule(dropped.run)
+
+    const reason = new Error('abort')
+
+    assert.equal(scheduler.drop(droppedTask, reason), true)
+    assert.equal(droppedTask.status, 'dropped')
+    await assert.rejects(droppedTask.promise, reason)
+
+    // 不在排队中的任务无法移出
+    assert.equal(scheduler.drop(droppedTask), false)
+    assert.equal(scheduler.drop(blockerTask), false)
+
+    blocker.resolve()
+    await flush()
+
+    assert.deepEqual(started, ['blocker'])
+  })
+
+  it('调大最大并发数后立即执行排队中的任务', async () => {
+    const scheduler = new LoadScheduler({ maxConcurrency: 1 })
+    const started = []
+
+    ;['a', 'b', 'c'].forEach((name) => {
+      scheduler.schedule(createTask(name, started).run)
+    })
+
+    await flush()
+    assert.deepEqual(started, ['a'])
+
+    scheduler.config({ maxConcurrency: 3 })
+    await flush()
+
+    assert.deepEqual(started, ['a', 'b', 'c'])
+    assert.equal(scheduler.$maxConcurrency, 3)
+  })
+})
@@ -0,0 +1,89 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { parseSrcset, sortCandidates, pickCandidate } from '../src/utils/srcset.js'
+
+describe('parseSrcset', () => {
+  it('解析像素比描述符', () => {
+    assert.deepEqual(parseSrcset('a.jpg 1x, b.jpg 2x'), [
+      { url: 'a.jpg', width: undefined, density: 1 },
+      { url: 'b.jpg', width: undefined, density: 2 },
+    ])
+  })
+
+  it('解析宽度描述符', () => {
+    assert.deepEqual(parseSrcset('a.jpg 320w, b.jpg 640w'), [
+      { url: 'a.jpg', width: 320, density: undefined },
+      { url: 'b.jpg', width: 640, density: undefined },
+    ])
+  })
+
+  it('逗号后可以不加空白符', () => {
+    assert.deepEqual(parseSrcset('a.jpg 1x,b.jpg 2x').map(({ url }) => url), ['a.jpg', 'b.jpg'])
+    assert.deepEqual(parseSrcset('a.jpg 320w,b.jpg 640w').map(({ url }) => url), ['a.jpg', 'b.jpg'])
+  })
+
+  it('地址中可以包含逗号', () => {
+    const candidates = parseSrcset('path/to/a.jpg?size=1,2 1x, data:image/png;base64,iVBORw0KGgo= 2x')
+
+    assert.deepEqual(candidates.map(({ url }) => url), [
+      'path/to/a.jpg?size=1,2',
+      'data:image/png;base64,iVBORw0KGgo=',
+    ])
+  })
+
+  it('未设置描述符时视为1x', () => {
+    assert.deepEqual(parseSrcset('a.jpg'), [
+      { url: 'a.jpg', width: undefined, density: 1 },
+    ])
+  })
+
+  it('忽略非法的候选项', () => {
+    assert.deepEqual(parseSrcset('a.jpg 1y, b.jpg 2x, , c.jpg 3x 4x').map(({ url }) => url), ['b.jpg'])
+  })
+
+  it('不存在1x时以默认图片地址作为1x候选图片', () => {
+    assert.deepEqual(parseSrcset('b.jpg 2x', 'a.jpg'), [
+      { url: 'b.jpg', width: undefined, density: 2 },
+      { url: 'a.jpg', width: undefined, density: 1 },
+    ])
+
+    // 已存在1x或使用宽度描述符时不追加
+    assert.equal(parseSrcset('a.jpg 1x, b.jpg 2x', 'c.jpg').length, 2)
+    assert.equal(parseSrcset('a.jpg 320w', 'c.jpg').length, 1)
+  })
+
+  it('空值返回空列表', () => {
+    assert.deepEqual(parseSrcset(), [])
+    assert.deepEqual(parseSrcset(' , '), [])
+  })
+})
+
+describe('sortCandidates', () => {
+  it('统一转换为物理像素宽度并从小到大排序', () => {
+    const candidates = parseSrcset('c.jpg 2x, a.jpg 100w, b.jpg 1x')
+
+    assert.deepEqual(sortCandidates(candidates, 200), [
+      { url: 'a.jpg', resolution: 100 },
+      { url: 'b.jpg', resolution: 200 },
+      { url: 'c.jpg', resolution: 400 },
+    ])
+  })
+})
+
+describe('pickCandidate', () => {
+  const candidates = parseSrcset('a.jpg 320w, b.jpg 640w, c.jpg 1280w')
+
+  it('选择满足分辨率要求的最小图片', () => {
+    assert.equal(pickCandidate(candidates, { dpr: 2, width: 300 }).url, 'b.jpg')
+    assert.equal(pickCandidate(candidates, { dpr: 1, width: 320 }).url, 'a.jpg')
+  })
+
+  it('均不满足时选择最大的图片', () => {
+    assert.equal(pickCandidate(candidates, { dpr: 3, width: 500 }).url, 'c.jpg')
+  })
+
+  it('不存在候选图片时返回undefined', () => {
+    assert.equal(pickCandidate([], { dpr: 1, width: 100 }), undefined)
+  })
+})
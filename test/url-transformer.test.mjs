@@ -0,0 +1,90 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { registerTransformer, getTransformer } from '../src/url-transformer.js'
+
+describe('upyun', () => {
+  const upyun = getTransformer('upyun')
+
+  it('按物理像素尺寸和格式转换', () => {
+    assert.equal(upyun({ src: 'a.jpg', width: 300, height: 400, dpr: 2, format: 'webp' }), 'a.jpg!/both/600x800/format/webp')
+  })
+
+  it('只存在宽或高时等比缩放', () => {
+    assert.equal(upyun({ src: 'a.jpg', width: 300, dpr: 2, format: '' }), 'a.jpg!/fw/600')
+    assert.equal(upyun({ src: 'a.jpg', height: 400, dpr: 1.5, format: '' }), 'a.jpg!/fh/600')
+  })
+
+  it('无需处理或已包含处理参数时不转换', () => {
+    assert.equal(upyun({ src: 'a.jpg', dpr: 2, format: '' }), 'a.jpg')
+    assert.equal(upyun({ src: 'a.jpg!/fw/100', width: 300, dpr: 2, format: 'webp' }), 'a.jpg!/fw/100')
+  })
+})
+
+describe('qiniu', () => {
+  const qiniu = getTransformer('qiniu')
+
+  it('同时存在宽高时居中裁剪', () => {
+    assert.equal(qiniu({ src: 'a.jpg', width: 300, height: 400, dpr: 2, format: 'avif' }), 'a.jpg?imageView2/1/w/600/h/800/format/avif')
+  })
+
+  it('保留已有的查询参数和hash', () => {
+    assert.equal(qiniu({ src: 'a.jpg?v=1#top', width: 300, dpr: 1, format: '' }), 'a.jpg?v=1&imageView2/2/w/300#top')
+  })
+
+  it('无需处理或已包含处理参数时不转换', () => {
+    assert.equal(qiniu({ src: 'a.jpg', dpr: 2, format: '' }), 'a.jpg')
+    assert.equal(qiniu({ src: 'a.jpg?imageMogr2/thumbnail/100x', width: 300, dpr: 2, format: '' }), 'a.jpg?imageMogr2/thumbnail/100x')
+  })
+})
+
+describe('oss', () => {
+  const oss = getTransformer('oss')
+
+  it('按物理像素尺寸和格式转换', () => {
+    assert.equal(oss({ src: 'a.jpg', width: 300, height: 400, dpr: 2, format: 'webp' }), 'a.jpg?x-oss-process=image/resize,m_fill,w_600,h_800/format,webp')
+    assert.equal(oss({ src: 'a.jpg', width: 300, dpr: 1, format: '' }), 'a.jpg?x-oss-process=image/resize,m_lfit,w_300')
+  })
+
+  it('只设置格式时不缩放', () => {
+    assert.equal(oss({ src: 'a.jpg', dpr: 2, format: 'webp' }), 'a.jpg?x-oss-process=image/format,webp')
+  })
+
+  it('已包含处理参数时不转换', () => {
+    const src = 'a.jpg?x-oss-process=image/resize,w_100'
+
+    assert.equal(oss({ src, width: 300, dpr: 2, format: 'webp' }), src)
+  })
+})
+
+describe('registerTransformer', () => {
+  it('注册自定义转换器', () => {
+    const transformer = ({ src, width }) => `${src}?w=${width}`
+
+    registerTransformer('custom', transformer)
+
+    assert.equal(getTransformer('custom'), transformer)
+    assert.equal(getTransformer('custom')({ src: 'a.jpg', width: 100 }), 'a.jpg?w=100')
+  })
+
+  it('同名时覆盖已注册的转换器', () => {
+    const transformer = ({ src }) => src
+
+    registerTransformer('custom', transformer)
+
+    assert.equal(getTransformer('custom'), transformer)
+  })
+})
+
+describe('getTransformer', () => {
+  it('函数直接返回', () => {
+    const transformer = ({ src }) => src
+
+    assert.equal(getTransformer(transformer), transformer)
+  })
+
+  it('未注册的名称返回undefined', () => {
+    assert.equal(getTransformer('unknown'), undefined)
+    assert.equal(getTransformer(), undefined)
+  })
+})